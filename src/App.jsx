@@ -1,19 +1,20 @@
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
 import {
   loadDB,
-  saveDB,
   getAllTables,
   getTable,
   getTableRows,
-  createTable,
   insertRow,
   updateRow,
   deleteRow,
+  dropView,
   exportDatabase,
   importDatabase,
   getSampleDataset,
 } from "./database";
-import { executeQuery } from "./queryEngine";
+import { executeScript, executeView } from "./queryEngine";
+import { createTable, dropTable, addColumn, dropColumn } from "./schema";
+import { findParameters } from "./parser";
 import Sidebar from "./components/Sidebar";
 import Header from "./components/Header";
 import TableView from "./components/TableView";
@@ -31,6 +32,9 @@ function App() {
   const [selectedTable, setSelectedTable] = useState(null);
   const [query, setQuery] = useState("");
   const [result, setResult] = useState(null);
+  const [ranQuery, setRanQuery] = useState("");
+  const [stopOnError, setStopOnError] = useState(true);
+  const [parameterValues, setParameterValues] = useState({});
   const [showCreateTable, setShowCreateTable] = useState(false);
   const [newTableName, setNewTableName] = useState("");
   const [showAddRow, setShowAddRow] = useState(false);
@@ -70,18 +74,67 @@ function App() {
     setDb(loadedDb);
   };
 
+  const getQueryParameters = () => {
+    try {
+      return findParameters(query);
+    } catch (error) {
+      return [];
+    }
+  };
+
+  const queryParameters = getQueryParameters();
+
+  const buildQueryParams = () => {
+    if (queryParameters.length === 0) return null;
+
+    const valueOf = (parameter) => {
+      const value = (parameterValues[parameter.label] ?? "").trim();
+      if (value === "") return null;
+      const quoted = value.match(/^(['"])(.*)\1$/s);
+      if (quoted) return quoted[2];
+      if (value === "true" || value === "false") return value === "true";
+      return !isNaN(value) && !isNaN(parseFloat(value)) ? Number(value) : value;
+    };
+
+    if (queryParameters[0].style === ":") {
+      return Object.fromEntries(
+        queryParameters.map((parameter) => [parameter.key, valueOf(parameter)])
+      );
+    }
+    const params = [];
+    queryParameters.forEach((parameter) => {
+      params[parameter.key - 1] = valueOf(parameter);
+    });
+    return Array.from(params, (value) => (value === undefined ? null : value));
+  };
+
   const handleRunQuery = () => {
     if (!query.trim()) {
       setResult({ error: "Please enter a query" });
       return;
     }
 
-    const queryResult = executeQuery(query);
+    const queryResult = executeScript(query, {
+      stopOnError,
+      params: buildQueryParams(),
+    });
     setResult(queryResult);
+    setRanQuery(query);
 
     refreshDb();
   };
 
+  const getErrorSpans = () => {
+    if (!result || query !== ranQuery) return [];
+    const results =
+      result.type === "script"
+        ? result.results.map((statement) => statement.result)
+        : [result];
+    return results
+      .filter((item) => item.error && item.details?.line)
+      .map((item) => ({ start: item.details.start, end: item.details.end }));
+  };
+
   const handleCreateTable = () => {
     if (!newTableName.trim()) {
       alert("Please enter a table name");
@@ -95,22 +148,19 @@ function App() {
     }
 
     try {
+      const columns = {};
       const foreignKeys = {};
-      if (tablesToLink.length > 0) {
-        tablesToLink.forEach((refTable) => {
-          const fkColumnName = `${refTable}_id`;
-          foreignKeys[fkColumnName] = {
-            references: `${refTable}.id`,
-            onDelete: "restrict",
-          };
-        });
-      }
-
-      createTable(tableName, {
-        columns: {},
-        foreignKeys,
+      tablesToLink.forEach((refTable) => {
+        const fkColumnName = `${refTable}_id`;
+        columns[fkColumnName] = { type: "uuid" };
+        foreignKeys[fkColumnName] = {
+          references: `${refTable}.id`,
+          onDelete: "restrict",
+        };
       });
 
+      createTable(tableName, { columns, foreignKeys });
+
       refreshDb();
       setSelectedTable(tableName);
       setShowCreateTable(false);
@@ -124,12 +174,10 @@ function App() {
   const handleDeleteTable = (tableName) => {
     if (confirm(`Delete table "${tableName}"?`)) {
       try {
-        const updatedDb = loadDB();
-        delete updatedDb.tables[tableName];
-        saveDB(updatedDb);
+        dropTable(tableName);
         refreshDb();
         if (selectedTable === tableName) {
-          const remaining = Object.keys(updatedDb.tables);
+          const remaining = Object.keys(loadDB().tables);
           setSelectedTable(remaining.length > 0 ? remaining[0] : null);
         }
       } catch (error) {
@@ -138,6 +186,21 @@ function App() {
     }
   };
 
+  const handleDropView = (viewName) => {
+    if (confirm(`Drop view "${viewName}"?`)) {
+      try {
+        dropView(viewName);
+        refreshDb();
+        if (selectedTable === viewName) {
+          const remaining = Object.keys(db.tables);
+          setSelectedTable(remaining.length > 0 ? remaining[0] : null);
+        }
+      } catch (error) {
+        alert(`Error dropping view: ${error.message}`);
+      }
+    }
+  };
+
   const handleAddColumn = (tableName) => {
     setRelationFromTable(tableName);
     setShowAddColumn(true);
@@ -150,12 +213,6 @@ function App() {
     }
 
     try {
-      const table = getTable(relationFromTable);
-      if (!table) {
-        alert("Table not found");
-        return;
-      }
-
       const colName =
         columnIsForeignKey && referencedTable
           ? `${referencedTable}_id`
@@ -166,24 +223,14 @@ function App() {
         return;
       }
 
-      const updatedDb = loadDB();
-      const tableObj = updatedDb.tables[relationFromTable];
-
-      tableObj.schema.columns[colName] = { type: columnType };
-      if (columnIsForeignKey) {
-        tableObj.schema.foreignKeys[colName] = {
-          references: `${referencedTable}.id`,
-          onDelete: "restrict",
-        };
-      }
-
-      for (const rowId in tableObj.rows) {
-        if (!(colName in tableObj.rows[rowId])) {
-          tableObj.rows[rowId][colName] = null;
-        }
-      }
-
-      saveDB(updatedDb);
+      addColumn(
+        relationFromTable,
+        colName,
+        { type: columnType },
+        columnIsForeignKey
+          ? { references: `${referencedTable}.id`, onDelete: "restrict" }
+          : null
+      );
       refreshDb();
 
       setNewColumnName("");
@@ -203,28 +250,14 @@ function App() {
     }
 
     try {
-      const updatedDb = loadDB();
-      const tableObj = updatedDb.tables[relationFromTable];
-
       const fkColumnName = relationFromColumn || `${relationToTable}_id`;
 
-      if (tableObj.schema.columns[fkColumnName]) {
-        alert(`Column "${fkColumnName}" already exists`);
-        return;
-      }
-
-      tableObj.schema.columns[fkColumnName] = { type: "uuid" };
-
-      tableObj.schema.foreignKeys[fkColumnName] = {
-        references: `${relationToTable}.id`,
-        onDelete: onDeleteAction,
-      };
-
-      for (const rowId in tableObj.rows) {
-        tableObj.rows[rowId][fkColumnName] = null;
-      }
-
-      saveDB(updatedDb);
+      addColumn(
+        relationFromTable,
+        fkColumnName,
+        { type: "uuid" },
+        { references: `${relationToTable}.id`, onDelete: onDeleteAction }
+      );
       refreshDb();
 
       setRelationFromTable("");
@@ -244,16 +277,7 @@ function App() {
     }
     if (confirm(`Delete column "${colName}"?`)) {
       try {
-        const updatedDb = loadDB();
-        const tableObj = updatedDb.tables[tableName];
-
-        delete tableObj.schema.columns[colName];
-        delete tableObj.schema.foreignKeys[colName];
-        for (const rowId in tableObj.rows) {
-          delete tableObj.rows[rowId][colName];
-        }
-
-        saveDB(updatedDb);
+        dropColumn(tableName, colName);
         refreshDb();
       } catch (error) {
         alert(`Error deleting column: ${error.message}`);
@@ -401,15 +425,30 @@ function App() {
     return relations;
   };
 
-  const currentTable = selectedTable ? getTableRows(selectedTable) : [];
+  const viewResult = useMemo(
+    () =>
+      selectedTable && db.views?.[selectedTable]
+        ? executeView(selectedTable)
+        : null,
+    [selectedTable, db]
+  );
 
-  const tableColumns =
-    selectedTable && getTable(selectedTable)
+  const currentTable = viewResult
+    ? viewResult.data || []
+    : selectedTable
+      ? getTableRows(selectedTable)
+      : [];
+
+  const tableColumns = viewResult
+    ? (viewResult.columns || []).map((column) => column.name)
+    : selectedTable && getTable(selectedTable)
       ? Object.keys(getTable(selectedTable).schema.columns)
       : [];
 
   const tableNames = Object.keys(db.tables || {});
 
+  const viewNames = Object.keys(db.views || {});
+
   const handleClearDatabase = () => {
     const confirmMessage =
       "Are you sure you want to clear the entire database?\n\n" +
@@ -516,6 +555,11 @@ function App() {
       name: "Join products with categories",
       query: "JOIN products categories ON products.categoryId = categories.id",
     },
+    {
+      name: "Orders with customer emails",
+      query:
+        "SELECT o.orderNumber, o.total, u.email FROM orders o JOIN customers c ON o.customerId = c.id JOIN users u ON c.userId = u.id",
+    },
     {
       name: "Filter users by email",
       query: 'SELECT * FROM users WHERE email = "john.doe@email.com"',
@@ -524,6 +568,26 @@ function App() {
       name: "Filter products by price",
       query: "SELECT * FROM products WHERE price > 100",
     },
+    {
+      name: "Revenue per customer",
+      query:
+        "SELECT customerId, COUNT(*), SUM(total) FROM orders GROUP BY customerId ORDER BY SUM(total) DESC",
+    },
+    {
+      name: "Product availability",
+      query:
+        "SELECT name, price * stock AS stockValue, CASE WHEN stock = 0 THEN 'out' ELSE 'in' END AS availability FROM products",
+    },
+    {
+      name: "Running revenue",
+      query:
+        "SELECT orderNumber, total, SUM(total) OVER (ORDER BY createdAt) AS runningRevenue FROM orders",
+    },
+    {
+      name: "Orders by customer id",
+      query:
+        "SELECT orderNumber, status, total FROM orders WHERE customerId = :customerId ORDER BY createdAt",
+    },
     { name: "Show all tables", query: "SHOW TABLES" },
   ];
 
@@ -546,6 +610,8 @@ function App() {
         setShowCreateTable={setShowCreateTable}
         setShowRelationsView={setShowRelationsView}
         handleDeleteTable={handleDeleteTable}
+        viewNames={viewNames}
+        handleDropView={handleDropView}
       />
 
       <div className="flex-1 flex flex-col lg:ml-64 bg-[#1e1e1e] min-w-0 overflow-hidden">
@@ -565,6 +631,8 @@ function App() {
         {selectedTable ? (
           <TableView
             selectedTable={selectedTable}
+            isView={Boolean(viewResult)}
+            viewError={viewResult?.error}
             currentTable={currentTable}
             tableColumns={tableColumns}
             tableActionsMenuOpen={tableActionsMenuOpen}
@@ -595,6 +663,12 @@ function App() {
               setShowSuggestedQueriesModal={setShowSuggestedQueriesModal}
               suggestedQueries={suggestedQueries}
               setResult={setResult}
+              stopOnError={stopOnError}
+              setStopOnError={setStopOnError}
+              queryParameters={queryParameters}
+              parameterValues={parameterValues}
+              setParameterValues={setParameterValues}
+              errorSpans={getErrorSpans()}
             />
             <QueryResults
               result={result}
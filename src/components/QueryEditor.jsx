@@ -1,4 +1,28 @@
-import React from "react";
+import React, { useEffect, useRef } from "react";
+
+function ErrorHighlights({ query, errorSpans }) {
+  const parts = [];
+  let position = 0;
+  errorSpans.forEach((span, idx) => {
+    const start = Math.max(span.start, position);
+    parts.push(query.slice(position, start));
+    parts.push(
+      <mark
+        key={idx}
+        className="bg-[#ef4444]/20 text-transparent"
+        style={{
+          textDecoration: "underline wavy #ef4444",
+          textDecorationSkipInk: "none",
+        }}
+      >
+        {query.slice(start, span.end) || " "}
+      </mark>
+    );
+    position = Math.max(span.end, position);
+  });
+  parts.push(query.slice(position));
+  return parts;
+}
 
 export default function QueryEditor({
   query,
@@ -7,7 +31,27 @@ export default function QueryEditor({
   setShowSuggestedQueriesModal,
   suggestedQueries,
   setResult,
+  stopOnError,
+  setStopOnError,
+  queryParameters,
+  parameterValues,
+  setParameterValues,
+  errorSpans,
 }) {
+  const editorRef = useRef(null);
+  const highlightRef = useRef(null);
+  const editorFont =
+    "'SF Mono', 'Monaco', 'Inconsolata', 'Fira Code', monospace";
+
+  const syncHighlights = () => {
+    if (editorRef.current && highlightRef.current) {
+      highlightRef.current.scrollTop = editorRef.current.scrollTop;
+      highlightRef.current.scrollLeft = editorRef.current.scrollLeft;
+    }
+  };
+
+  useEffect(syncHighlights);
+
   return (
     <div className="flex flex-col lg:flex-row h-64 lg:h-72 gap-0 border-b border-[#2a2a2a] flex-shrink-0">
       <div className="flex-1 flex flex-col overflow-hidden border-r border-[#2a2a2a] min-w-0">
@@ -39,25 +83,83 @@ export default function QueryEditor({
           </div>
         </div>
         <div className="flex-1 overflow-auto p-4 min-h-0">
-          <textarea
-            value={query}
-            onChange={(e) => setQuery(e.target.value)}
-            placeholder="Enter your SQL query here"
-            className="w-full h-full min-h-[150px] bg-[#1e1e1e] text-[#e0e0e0] font-mono text-sm p-4 rounded-md border border-[#2a2a2a] focus:outline-none focus:ring-2 focus:ring-[#3b82f6] resize-none"
-            style={{
-              fontFamily:
-                "'SF Mono', 'Monaco', 'Inconsolata', 'Fira Code', monospace",
-            }}
-            onKeyDown={(e) => {
-              if (e.key === "Enter" && (e.metaKey || e.ctrlKey)) {
-                e.preventDefault();
-                handleRunQuery();
-              }
-            }}
-          />
+          <div className="relative w-full h-full min-h-[150px]">
+            <textarea
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              ref={editorRef}
+              onScroll={syncHighlights}
+              placeholder="Enter your SQL query here"
+              className="w-full h-full min-h-[150px] bg-[#1e1e1e] text-[#e0e0e0] font-mono text-sm p-4 rounded-md border border-[#2a2a2a] focus:outline-none focus:ring-2 focus:ring-[#3b82f6] resize-none"
+              style={{ fontFamily: editorFont }}
+              onKeyDown={(e) => {
+                if (e.key === "Enter" && (e.metaKey || e.ctrlKey)) {
+                  e.preventDefault();
+                  handleRunQuery();
+                }
+              }}
+            />
+            {errorSpans.length > 0 && (
+              <div
+                ref={highlightRef}
+                aria-hidden="true"
+                className="absolute inset-0 pointer-events-none overflow-hidden font-mono text-sm p-4 rounded-md border border-transparent text-transparent whitespace-pre-wrap break-words"
+                style={{ fontFamily: editorFont }}
+              >
+                <ErrorHighlights query={query} errorSpans={errorSpans} />
+              </div>
+            )}
+          </div>
         </div>
-        <div className="bg-[#1a1a1a] border-t border-[#2a2a2a] px-4 py-1.5 text-xs text-[#8b8b8b] flex-shrink-0">
-          <span className="font-mono">Ctrl+Enter</span> to run query
+        {queryParameters.length > 0 && (
+          <div className="bg-[#1a1a1a] border-t border-[#2a2a2a] px-4 py-2 flex flex-wrap items-center gap-2 flex-shrink-0 max-h-24 overflow-y-auto">
+            <span className="text-xs font-semibold text-[#8b8b8b]">
+              Parameters
+            </span>
+            {queryParameters.map((parameter) => (
+              <label
+                key={parameter.label}
+                className="flex items-center gap-1.5 text-xs font-mono text-[#e0e0e0]"
+              >
+                {parameter.label}
+                <input
+                  type="text"
+                  value={parameterValues[parameter.label] ?? ""}
+                  onChange={(e) =>
+                    setParameterValues({
+                      ...parameterValues,
+                      [parameter.label]: e.target.value,
+                    })
+                  }
+                  onKeyDown={(e) => {
+                    if (e.key === "Enter") {
+                      e.preventDefault();
+                      handleRunQuery();
+                    }
+                  }}
+                  placeholder="NULL"
+                  className="w-40 px-2 py-1 bg-[#1e1e1e] border border-[#2a2a2a] rounded-md text-white text-xs focus:outline-none focus:ring-2 focus:ring-[#3b82f6]"
+                />
+              </label>
+            ))}
+          </div>
+        )}
+        <div className="bg-[#1a1a1a] border-t border-[#2a2a2a] px-4 py-1.5 text-xs text-[#8b8b8b] flex-shrink-0 flex items-center justify-between gap-3">
+          <span>
+            <span className="font-mono">Ctrl+Enter</span> to run query
+          </span>
+          <label
+            className="flex items-center gap-1.5 cursor-pointer"
+            title="When running several ;-separated statements, skip the rest after the first error"
+          >
+            <input
+              type="checkbox"
+              checked={stopOnError}
+              onChange={(e) => setStopOnError(e.target.checked)}
+              className="accent-[#3b82f6]"
+            />
+            Stop on first error
+          </label>
         </div>
       </div>
 
@@ -1,8 +1,71 @@
-import React from "react";
+import React, { useState } from "react";
+
+function defaultStatement(statements) {
+  const failed = statements.findIndex((statement) => statement.result.error);
+  return failed === -1 ? statements.length - 1 : failed;
+}
+
+function ErrorLocation({ details }) {
+  const width = Math.max(
+    1,
+    Math.min(details.end - details.start, details.lineText.length - details.column + 1)
+  );
+  const gutter = `${details.line} | `;
+  const indent = details.lineText
+    .slice(0, details.column - 1)
+    .replace(/[^\t]/g, " ");
+
+  return (
+    <pre className="mt-3 p-3 bg-[#1e1e1e] border border-[#991b1b] rounded-md text-xs font-mono overflow-x-auto">
+      <span className="text-[#6b6b6b]">{gutter}</span>
+      <span className="text-[#e0e0e0]">{details.lineText}</span>
+      {"\n"}
+      {" ".repeat(gutter.length)}
+      {indent}
+      <span className="text-red-400 font-bold">
+        {"^" + "~".repeat(width - 1)}
+      </span>
+    </pre>
+  );
+}
+
+function PlanStep({ step, depth }) {
+  return (
+    <>
+      <div
+        className="flex items-baseline gap-2 py-1 border-b border-[#2a2a2a] hover:bg-[#1e1e1e]"
+        style={{ paddingLeft: `${depth * 20 + 4}px` }}
+      >
+        {depth > 0 && <span className="text-[#6b6b6b]">└─</span>}
+        <span className="text-white font-semibold whitespace-nowrap">
+          {step.operation}
+        </span>
+        {step.detail && (
+          <span className="text-[#e0e0e0] break-all">{step.detail}</span>
+        )}
+        <span className="ml-auto pr-2 text-[#8b8b8b] whitespace-nowrap">
+          est {step.estimatedRows} · actual {step.actualRows} row(s)
+        </span>
+      </div>
+      {step.children.map((child, idx) => (
+        <PlanStep key={idx} step={child} depth={depth + 1} />
+      ))}
+    </>
+  );
+}
 
 export default function QueryResults({ result, resultsMenuOpen, setResultsMenuOpen }) {
+  const [selection, setSelection] = useState({ result: null, index: 0 });
+  const statements = result?.type === "script" ? result.results : null;
+  const activeStatement = statements
+    ? selection.result === result
+      ? selection.index
+      : defaultStatement(statements)
+    : 0;
+  const current = statements ? statements[activeStatement].result : result;
+
   const handleCopyJSON = () => {
-    const jsonData = JSON.stringify(result.data, null, 2);
+    const jsonData = JSON.stringify(current.data, null, 2);
     navigator.clipboard
       .writeText(jsonData)
       .then(() => {
@@ -14,12 +77,12 @@ export default function QueryResults({ result, resultsMenuOpen, setResultsMenuOp
   };
 
   const handleExportCSV = () => {
-    if (result.data.length === 0) return;
+    if (current.data.length === 0) return;
 
-    const headers = Object.keys(result.data[0]);
+    const headers = Object.keys(current.data[0]);
     const csvRows = [
       headers.join(","),
-      ...result.data.map((row) =>
+      ...current.data.map((row) =>
         headers
           .map((header) => {
             const value = row[header];
@@ -51,7 +114,7 @@ export default function QueryResults({ result, resultsMenuOpen, setResultsMenuOp
   };
 
   const handleExportJSON = () => {
-    const jsonData = JSON.stringify(result.data, null, 2);
+    const jsonData = JSON.stringify(current.data, null, 2);
     const blob = new Blob([jsonData], { type: "application/json" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
@@ -67,9 +130,9 @@ export default function QueryResults({ result, resultsMenuOpen, setResultsMenuOp
     <div className="flex-1 flex flex-col overflow-hidden bg-[#1a1a1a] min-h-0">
       <div className="bg-[#1a1a1a] border-b border-[#2a2a2a] px-4 py-3 flex items-center justify-between">
         <h3 className="text-sm font-semibold text-white">
-          {result ? (result.error ? "Error" : "Results") : "Results"}
+          {current ? (current.error ? "Error" : "Results") : "Results"}
         </h3>
-        {result && result.data && result.data.length > 0 && (
+        {current && current.data && current.data.length > 0 && (
           <>
             <div className="hidden lg:flex gap-2">
               <button
@@ -143,30 +206,105 @@ export default function QueryResults({ result, resultsMenuOpen, setResultsMenuOp
           </>
         )}
       </div>
+      {statements && (
+        <div className="flex gap-1 overflow-x-auto border-b border-[#2a2a2a] px-4 py-2 flex-shrink-0">
+          {statements.map((statement, idx) => (
+            <button
+              key={idx}
+              onClick={() => setSelection({ result, index: idx })}
+              className={`px-3 py-1 rounded-md text-xs font-medium whitespace-nowrap transition-colors ${
+                idx === activeStatement
+                  ? "bg-[#2a2a2a] text-white"
+                  : "text-[#8b8b8b] hover:bg-[#252525]"
+              }`}
+              title={statement.sql}
+            >
+              <span
+                className={
+                  statement.result.error
+                    ? "text-red-400"
+                    : statement.result.skipped
+                      ? "text-[#6b6b6b]"
+                      : "text-green-400"
+                }
+              >
+                {statement.result.error
+                  ? "✕"
+                  : statement.result.skipped
+                    ? "–"
+                    : "✓"}
+              </span>{" "}
+              Statement {idx + 1}
+            </button>
+          ))}
+        </div>
+      )}
       <div className="flex-1 overflow-auto p-4 min-h-0">
-        {!result ? (
+        {statements && (
+          <pre className="text-xs font-mono text-[#8b8b8b] mb-3 whitespace-pre-wrap break-all">
+            {statements[activeStatement].sql}
+          </pre>
+        )}
+        {!current ? (
           <div className="flex items-center justify-center h-full">
             <p className="text-[#8b8b8b] text-sm">
               No query executed yet. Write a query and press Ctrl+Enter to run.
             </p>
           </div>
-        ) : result.error ? (
+        ) : current.skipped ? (
+          <div className="flex items-center justify-center h-full">
+            <p className="text-[#8b8b8b] text-sm">
+              Not run because an earlier statement failed
+            </p>
+          </div>
+        ) : current.error ? (
           <div className="bg-[#7f1d1d] border border-[#991b1b] rounded-md p-4">
             <p className="text-red-300 text-sm font-medium">
-              Error: {result.error}
+              Error: {current.error}
             </p>
+            {current.details?.line && (
+              <ErrorLocation details={current.details} />
+            )}
+            {current.details?.expected.length > 1 && (
+              <p className="mt-3 text-red-300 text-xs">
+                Expected one of:{" "}
+                <span className="font-mono">
+                  {current.details.expected.join(", ")}
+                </span>
+              </p>
+            )}
+            {current.details && (
+              <p className="mt-2 text-[#fca5a5] text-xs font-mono opacity-75">
+                {current.details.code}
+              </p>
+            )}
           </div>
-        ) : result.data && result.data.length > 0 ? (
-          <div className="h-full flex flex-col">
-            <p className="text-[#8b8b8b] text-sm mb-4 flex-shrink-0">
-              Found {result.data.length} row(s)
+        ) : current.type === "plan" ? (
+          <div className="font-mono text-xs">
+            <p className="text-[#8b8b8b] text-sm font-sans mb-4">
+              Query plan (the query was run to collect actual row counts)
             </p>
+            <PlanStep step={current.plan} depth={0} />
+          </div>
+        ) : current.data && current.data.length > 0 ? (
+          <div className="h-full flex flex-col">
+            {current.rowsAffected !== undefined ? (
+              <div className="bg-[#064e3b] border border-[#065f46] rounded-md px-4 py-2 mb-4 flex-shrink-0">
+                <p className="text-green-300 text-sm font-medium">
+                  {current.rowsAffected} row(s) affected
+                </p>
+              </div>
+            ) : (
+              <p className="text-[#8b8b8b] text-sm mb-4 flex-shrink-0">
+                Found {current.data.length} row(s)
+              </p>
+            )}
             <div className="flex-1 overflow-auto min-h-0">
               <div className="table-scroll-container w-full h-full">
                 <table className="border-collapse">
                   <thead>
                     <tr className="bg-[#1e1e1e] border-b border-[#2a2a2a]">
-                      {Object.keys(result.data[0]).map((col) => (
+                      {Object.keys(current.data[0]).map((col) => (
                         <th
                           key={col}
                           className="border-b border-[#2a2a2a] px-3 py-2 text-left text-xs font-medium text-white whitespace-nowrap"
@@ -177,12 +315,12 @@ export default function QueryResults({ result, resultsMenuOpen, setResultsMenuOp
                     </tr>
                   </thead>
                   <tbody>
-                    {result.data.map((row, idx) => (
+                    {current.data.map((row, idx) => (
                       <tr
                         key={idx}
                         className="border-b border-[#2a2a2a] hover:bg-[#1e1e1e] transition-colors"
                       >
-                        {Object.keys(result.data[0]).map((col) => (
+                        {Object.keys(current.data[0]).map((col) => (
                           <td
                             key={col}
                             className="px-3 py-2 text-xs text-[#e0e0e0]"
@@ -202,6 +340,21 @@ export default function QueryResults({ result, resultsMenuOpen, setResultsMenuOp
               </div>
             </div>
           </div>
+        ) : current.message ? (
+          <div className="bg-[#064e3b] border border-[#065f46] rounded-md p-4">
+            <p className="text-green-300 text-sm font-medium">
+              {current.message}
+            </p>
+          </div>
+        ) : current.rowsAffected !== undefined ? (
+          <div className="bg-[#064e3b] border border-[#065f46] rounded-md p-4">
+            <p className="text-green-300 text-sm font-medium">
+              Query executed successfully. {current.rowsAffected} row(s)
+              affected
+              {current.cascaded > 0 &&
+                `, ${current.cascaded} more removed by cascade`}
+            </p>
+          </div>
         ) : (
           <div className="flex items-center justify-center h-full">
             <p className="text-[#8b8b8b] text-sm">No results</p>
@@ -10,6 +10,8 @@ export default function Sidebar({
   setShowCreateTable,
   setShowRelationsView,
   handleDeleteTable,
+  viewNames,
+  handleDropView,
 }) {
   return (
     <>
@@ -118,6 +120,57 @@ export default function Sidebar({
               })
             )}
           </div>
+
+          <div className="mt-4 mb-2">
+            <p className="text-xs font-semibold text-[#8b8b8b] uppercase tracking-wider px-3 py-2">
+              Views
+            </p>
+          </div>
+          <div className="space-y-1">
+            {viewNames.length === 0 ? (
+              <p className="text-[#8b8b8b] text-sm p-3">
+                No views yet. Use CREATE VIEW in the query editor.
+              </p>
+            ) : (
+              viewNames.map((viewName) => (
+                <div
+                  key={viewName}
+                  className={`px-3 py-2 rounded-md cursor-pointer flex justify-between items-center group transition-colors ${
+                    selectedTable === viewName
+                      ? "bg-[#3b82f6] text-white"
+                      : "hover:bg-[#2a2a2a] text-[#e0e0e0]"
+                  }`}
+                  onClick={() => {
+                    setSelectedTable(viewName);
+                    setSidebarOpen(false);
+                  }}
+                >
+                  <div className="flex items-center gap-2 flex-1 min-w-0">
+                    <span className="text-sm truncate">{viewName}</span>
+                    <span
+                      className={`text-xs ${
+                        selectedTable === viewName
+                          ? "text-blue-200"
+                          : "text-[#8b8b8b]"
+                      }`}
+                    >
+                      view
+                    </span>
+                  </div>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleDropView(viewName);
+                    }}
+                    className="text-[#8b8b8b] hover:text-red-400 flex-shrink-0 ml-2 opacity-0 group-hover:opacity-100 transition-opacity"
+                    title="Drop view"
+                  >
+                    ×
+                  </button>
+                </div>
+              ))
+            )}
+          </div>
         </div>
       </div>
     </>
@@ -3,6 +3,8 @@ import { getTableRows, getTable } from "../database";
 
 export default function TableView({
   selectedTable,
+  isView,
+  viewError,
   currentTable,
   tableColumns,
   tableActionsMenuOpen,
@@ -30,82 +32,101 @@ export default function TableView({
         <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-4 gap-3 flex-shrink-0">
           <h2 className="text-xl lg:text-2xl font-semibold text-white">
             {selectedTable}
+            {isView && (
+              <span className="ml-3 align-middle text-xs font-medium text-[#8b8b8b] uppercase tracking-wider">
+                View · read-only
+              </span>
+            )}
           </h2>
 
-          <div className="hidden sm:flex flex-wrap gap-2">
-            <button
-              onClick={() => {
-                setRelationFromTable(selectedTable);
-                setShowCreateRelation(true);
-              }}
-              className="px-3 py-1.5 bg-[#8b5cf6] hover:bg-[#7c3aed] text-white rounded-md text-sm font-medium transition-colors"
-              title="Create a relation to another table"
-            >
-              Relation
-            </button>
-            <button
-              onClick={() => handleAddColumn(selectedTable)}
-              className="px-3 py-1.5 bg-[#10b981] hover:bg-[#059669] text-white rounded-md text-sm font-medium transition-colors"
-            >
-              + Column
-            </button>
-            <button
-              onClick={() => setShowAddRow(true)}
-              className="px-3 py-1.5 bg-[#3b82f6] hover:bg-[#2563eb] text-white rounded-md text-sm font-medium transition-colors"
-            >
-              + Row
-            </button>
-          </div>
+          {!isView && (
+            <div className="hidden sm:flex flex-wrap gap-2">
+              <button
+                onClick={() => {
+                  setRelationFromTable(selectedTable);
+                  setShowCreateRelation(true);
+                }}
+                className="px-3 py-1.5 bg-[#8b5cf6] hover:bg-[#7c3aed] text-white rounded-md text-sm font-medium transition-colors"
+                title="Create a relation to another table"
+              >
+                Relation
+              </button>
+              <button
+                onClick={() => handleAddColumn(selectedTable)}
+                className="px-3 py-1.5 bg-[#10b981] hover:bg-[#059669] text-white rounded-md text-sm font-medium transition-colors"
+              >
+                + Column
+              </button>
+              <button
+                onClick={() => setShowAddRow(true)}
+                className="px-3 py-1.5 bg-[#3b82f6] hover:bg-[#2563eb] text-white rounded-md text-sm font-medium transition-colors"
+              >
+                + Row
+              </button>
+            </div>
+          )}
 
-          <div className="sm:hidden relative flex-shrink-0 z-50">
-            <button
-              onClick={() => setTableActionsMenuOpen(!tableActionsMenuOpen)}
-              className="px-3 py-1.5 bg-[#2a2a2a] hover:bg-[#3a3a3a] text-white rounded-md text-sm font-medium transition-colors"
-            >
-              ⋯ Actions
-            </button>
-            {tableActionsMenuOpen && (
-              <>
-                <div
-                  className="fixed inset-0 z-40"
-                  onClick={() => setTableActionsMenuOpen(false)}
-                />
-                <div className="absolute right-0 top-full mt-2 w-40 bg-[#1a1a1a] border border-[#2a2a2a] rounded-md shadow-lg z-50">
-                  <button
-                    onClick={() => {
-                      setRelationFromTable(selectedTable);
-                      setShowCreateRelation(true);
-                      setTableActionsMenuOpen(false);
-                    }}
-                    className="w-full text-left px-4 py-2 text-sm text-[#e0e0e0] hover:bg-[#252525] transition-colors"
-                  >
-                    🔗 Relation
-                  </button>
-                  <button
-                    onClick={() => {
-                      handleAddColumn(selectedTable);
-                      setTableActionsMenuOpen(false);
-                    }}
-                    className="w-full text-left px-4 py-2 text-sm text-[#e0e0e0] hover:bg-[#252525] transition-colors"
-                  >
-                    + Column
-                  </button>
-                  <button
-                    onClick={() => {
-                      setShowAddRow(true);
-                      setTableActionsMenuOpen(false);
-                    }}
-                    className="w-full text-left px-4 py-2 text-sm text-[#e0e0e0] hover:bg-[#252525] transition-colors"
-                  >
-                    + Row
-                  </button>
-                </div>
-              </>
-            )}
-          </div>
+          {!isView && (
+            <div className="sm:hidden relative flex-shrink-0 z-50">
+              <button
+                onClick={() => setTableActionsMenuOpen(!tableActionsMenuOpen)}
+                className="px-3 py-1.5 bg-[#2a2a2a] hover:bg-[#3a3a3a] text-white rounded-md text-sm font-medium transition-colors"
+              >
+                ⋯ Actions
+              </button>
+              {tableActionsMenuOpen && (
+                <>
+                  <div
+                    className="fixed inset-0 z-40"
+                    onClick={() => setTableActionsMenuOpen(false)}
+                  />
+                  <div className="absolute right-0 top-full mt-2 w-40 bg-[#1a1a1a] border border-[#2a2a2a] rounded-md shadow-lg z-50">
+                    <button
+                      onClick={() => {
+                        setRelationFromTable(selectedTable);
+                        setShowCreateRelation(true);
+                        setTableActionsMenuOpen(false);
+                      }}
+                      className="w-full text-left px-4 py-2 text-sm text-[#e0e0e0] hover:bg-[#252525] transition-colors"
+                    >
+                      🔗 Relation
+                    </button>
+                    <button
+                      onClick={() => {
+                        handleAddColumn(selectedTable);
+                        setTableActionsMenuOpen(false);
+                      }}
+                      className="w-full text-left px-4 py-2 text-sm text-[#e0e0e0] hover:bg-[#252525] transition-colors"
+                    >
+                      + Column
+                    </button>
+                    <button
+                      onClick={() => {
+                        setShowAddRow(true);
+                        setTableActionsMenuOpen(false);
+                      }}
+                      className="w-full text-left px-4 py-2 text-sm text-[#e0e0e0] hover:bg-[#252525] transition-colors"
+                    >
+                      + Row
+                    </button>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
         </div>
 
-        {currentTable.length === 0 ? (
+        {viewError ? (
+          <div className="bg-[#7f1d1d] border border-[#991b1b] rounded-md p-4">
+            <p className="text-red-300 text-sm font-medium">
+              Error: {viewError}
+            </p>
+          </div>
+        ) : isView && currentTable.length === 0 ? (
+          <div className="text-center py-12">
+            <p className="text-[#8b8b8b]">This view returns no rows.</p>
+          </div>
+        ) : currentTable.length === 0 ? (
           <div className="text-center py-12">
             <p className="text-[#8b8b8b] mb-2">
               No rows in this table. Add a row to get started!
@@ -148,7 +169,7 @@ export default function TableView({
                               </span>
                             )}
                           </div>
-                          {col !== "id" && (
+                          {!isView && col !== "id" && (
                             <button
                               onClick={() => handleDeleteColumn(selectedTable, col)}
                               className="text-[#8b8b8b] hover:text-red-400 ml-1 flex-shrink-0 transition-colors"
@@ -160,9 +181,11 @@ export default function TableView({
                         </div>
                       </th>
                     ))}
-                    <th className="border-b border-[#2a2a2a] px-3 py-3 whitespace-nowrap sticky right-0 bg-[#1e1e1e] text-white text-xs lg:text-sm font-medium">
-                      Actions
-                    </th>
+                    {!isView && (
+                      <th className="border-b border-[#2a2a2a] px-3 py-3 whitespace-nowrap sticky right-0 bg-[#1e1e1e] text-white text-xs lg:text-sm font-medium">
+                        Actions
+                      </th>
+                    )}
                   </tr>
                 </thead>
                 <tbody>
@@ -171,7 +194,20 @@ export default function TableView({
                       key={row.id || idx}
                       className="border-b border-[#2a2a2a] hover:bg-[#1e1e1e] transition-colors"
                     >
-                      {tableColumns.map((col) => {
+                      {isView && tableColumns.map((col) => (
+                        <td
+                          key={col}
+                          className="px-3 py-3 max-w-xs lg:max-w-none text-[#e0e0e0]"
+                        >
+                          <div
+                            className="break-words text-xs lg:text-sm truncate lg:whitespace-normal"
+                            title={String(row[col] ?? "")}
+                          >
+                            {String(row[col] ?? "")}
+                          </div>
+                        </td>
+                      ))}
+                      {!isView && tableColumns.map((col) => {
                         const isEditing =
                           editingCell?.rowId === row.id &&
                           editingCell?.column === col;
@@ -278,14 +314,16 @@ export default function TableView({
                           </td>
                         );
                       })}
-                      <td className="px-3 py-3 sticky right-0 bg-[#1a1a1a]">
-                        <button
-                          onClick={() => handleDeleteRow(selectedTable, row.id)}
-                          className="text-[#ef4444] hover:text-[#dc2626] text-xs lg:text-sm transition-colors"
-                        >
-                          Delete
-                        </button>
-                      </td>
+                      {!isView && (
+                        <td className="px-3 py-3 sticky right-0 bg-[#1a1a1a]">
+                          <button
+                            onClick={() => handleDeleteRow(selectedTable, row.id)}
+                            className="text-[#ef4444] hover:text-[#dc2626] text-xs lg:text-sm transition-colors"
+                          >
+                            Delete
+                          </button>
+                        </td>
+                      )}
                     </tr>
                   ))}
                 </tbody>
@@ -17,7 +17,8 @@ export function loadDB() {
           version: '1.0',
           createdAt: new Date().toISOString()
         },
-        tables: {}
+        tables: {},
+        views: {}
       };
     }
     return JSON.parse(stored);
@@ -28,7 +29,8 @@ export function loadDB() {
         version: '1.0',
         createdAt: new Date().toISOString()
       },
-      tables: {}
+      tables: {},
+      views: {}
     };
   }
 }
@@ -42,6 +44,16 @@ export function saveDB(db) {
   }
 }
 
+export function runInTransaction(operation) {
+  const snapshot = loadDB();
+  try {
+    return operation();
+  } catch (error) {
+    saveDB(snapshot);
+    throw error;
+  }
+}
+
 export function getTable(tableName) {
   const db = loadDB();
   return db.tables[tableName] || null;
@@ -58,6 +70,9 @@ export function createTable(name, schema) {
   if (db.tables[name]) {
     throw new Error(`Table "${name}" already exists`);
   }
+  if (db.views?.[name]) {
+    throw new Error(`A view named "${name}" already exists`);
+  }
 
   const columns = {
     id: { type: 'uuid', primary: true },
@@ -198,6 +213,7 @@ export function deleteRow(tableName, id) {
     throw new Error(`Row with id "${id}" does not exist in table "${tableName}"`);
   }
 
+  let cascaded = 0;
   for (const otherTableName in db.tables) {
     const otherTable = db.tables[otherTableName];
     for (const fkColumn in otherTable.schema.foreignKeys) {
@@ -223,6 +239,7 @@ export function deleteRow(tableName, id) {
           for (const rowId of rowsToDelete) {
             delete otherTable.rows[rowId];
           }
+          cascaded += rowsToDelete.length;
         } else if (onDelete === 'set-null') {
           for (const rowId in otherTable.rows) {
             if (otherTable.rows[rowId][fkColumn] === id) {
@@ -236,6 +253,7 @@ export function deleteRow(tableName, id) {
 
   delete table.rows[id];
   saveDB(db);
+  return { cascaded };
 }
 
 export function getTableRows(tableName) {
@@ -246,6 +264,46 @@ export function getTableRows(tableName) {
   return Object.values(table.rows);
 }
 
+export function getView(viewName) {
+  const db = loadDB();
+  return db.views?.[viewName] || null;
+}
+
+export function getAllViews() {
+  const db = loadDB();
+  return db.views || {};
+}
+
+export function createView(name, sql) {
+  const db = loadDB();
+
+  if (db.views?.[name]) {
+    throw new Error(`View "${name}" already exists`);
+  }
+  if (db.tables[name]) {
+    throw new Error(`A table named "${name}" already exists`);
+  }
+
+  db.views = {
+    ...db.views,
+    [name]: { name, sql, createdAt: new Date().toISOString() }
+  };
+
+  saveDB(db);
+  return db.views[name];
+}
+
+export function dropView(name) {
+  const db = loadDB();
+
+  if (!db.views?.[name]) {
+    throw new Error(`View "${name}" does not exist`);
+  }
+
+  delete db.views[name];
+  saveDB(db);
+}
+
 export function migrateDatabaseIfNeeded() {
   const db = loadDB();
   
@@ -1068,6 +1126,7 @@ export function importDatabase(jsonString, overwrite = false) {
       for (const tableName in importedDb.tables) {
         currentDb.tables[tableName] = importedDb.tables[tableName];
       }
+      currentDb.views = { ...currentDb.views, ...importedDb.views };
       currentDb.meta = { ...currentDb.meta, ...importedDb.meta };
       saveDB(currentDb);
     }
@@ -1086,7 +1145,8 @@ function buildSampleDatabase() {
       createdAt: new Date().toISOString(),
       description: 'Sample Online Store Database'
     },
-    tables: {}
+    tables: {},
+    views: {}
   };
 
   function createTableInMemory(name, schema) {
@@ -0,0 +1,173 @@
+const DATE_UNITS = ['YEAR', 'MONTH', 'WEEK', 'DAY', 'HOUR', 'MINUTE', 'SECOND'];
+
+const EXTRACT_UNITS = ['YEAR', 'MONTH', 'DAY', 'HOUR', 'MINUTE', 'SECOND'];
+
+const UNIT_MILLISECONDS = {
+  WEEK: 7 * 24 * 60 * 60 * 1000,
+  DAY: 24 * 60 * 60 * 1000,
+  HOUR: 60 * 60 * 1000,
+  MINUTE: 60 * 1000,
+  SECOND: 1000
+};
+
+function isNull(value) {
+  return value === null || value === undefined;
+}
+
+function toNumber(name, value) {
+  const number = Number(value);
+  if (typeof value === 'boolean' || value === '' || Number.isNaN(number)) {
+    throw new Error(`${name} expects a number but got ${JSON.stringify(value)}`);
+  }
+  return number;
+}
+
+function toInteger(name, value) {
+  const number = toNumber(name, value);
+  if (!Number.isInteger(number)) {
+    throw new Error(`${name} expects a whole number but got ${JSON.stringify(value)}`);
+  }
+  return number;
+}
+
+function toDate(name, value) {
+  const date = new Date(value);
+  if (typeof value === 'boolean' || Number.isNaN(date.getTime())) {
+    throw new Error(`${name} expects a date but got ${JSON.stringify(value)}`);
+  }
+  return date;
+}
+
+function toUnit(name, value, units) {
+  const unit = String(value).toUpperCase().replace(/S$/, '');
+  if (!units.includes(unit)) {
+    throw new Error(`${name} does not support unit ${JSON.stringify(value)}; use one of: ${units.join(', ')}`);
+  }
+  return unit;
+}
+
+function addToDate(date, amount, unit) {
+  const result = new Date(date.getTime());
+  if (unit !== 'YEAR' && unit !== 'MONTH') {
+    result.setTime(result.getTime() + amount * UNIT_MILLISECONDS[unit]);
+    return result;
+  }
+
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + (unit === 'YEAR' ? amount * 12 : amount));
+  const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, lastDay));
+  return result;
+}
+
+function monthsBetween(later, earlier) {
+  let months = (later.getUTCFullYear() - earlier.getUTCFullYear()) * 12 +
+    later.getUTCMonth() - earlier.getUTCMonth();
+  const shifted = addToDate(earlier, months, 'MONTH');
+  if (months > 0 && shifted > later) months--;
+  if (months < 0 && shifted < later) months++;
+  return months;
+}
+
+function round(name, value, digits = 0) {
+  const number = toNumber(name, value);
+  const factor = 10 ** toInteger(name, digits);
+  return Math.sign(number) * Math.round((Math.abs(number) + Number.EPSILON) * factor) / factor;
+}
+
+function substring(name, value, start, length) {
+  const text = String(value);
+  const from = toInteger(name, start) - 1;
+  if (length === undefined) {
+    return text.slice(Math.max(from, 0));
+  }
+  const count = toInteger(name, length);
+  if (count < 0) {
+    throw new Error(`${name} length must not be negative`);
+  }
+  return text.slice(Math.max(from, 0), Math.max(from + count, 0));
+}
+
+function dateDiff(name, later, earlier, unit = 'DAY') {
+  const a = toDate(name, later);
+  const b = toDate(name, earlier);
+  const normalized = toUnit(name, unit, DATE_UNITS);
+  if (normalized === 'YEAR') return Math.trunc(monthsBetween(a, b) / 12);
+  if (normalized === 'MONTH') return monthsBetween(a, b);
+  return Math.trunc((a.getTime() - b.getTime()) / UNIT_MILLISECONDS[normalized]);
+}
+
+function extract(name, unit, value) {
+  const date = toDate(name, value);
+  switch (toUnit(name, unit, EXTRACT_UNITS)) {
+    case 'YEAR': return date.getUTCFullYear();
+    case 'MONTH': return date.getUTCMonth() + 1;
+    case 'DAY': return date.getUTCDate();
+    case 'HOUR': return date.getUTCHours();
+    case 'MINUTE': return date.getUTCMinutes();
+    default: return date.getUTCSeconds();
+  }
+}
+
+const FUNCTIONS = {
+  UPPER: { args: [1, 1], returns: 'string', call: (name, value) => String(value).toUpperCase() },
+  LOWER: { args: [1, 1], returns: 'string', call: (name, value) => String(value).toLowerCase() },
+  LENGTH: { args: [1, 1], returns: 'number', call: (name, value) => String(value).length },
+  TRIM: { args: [1, 1], returns: 'string', call: (name, value) => String(value).trim() },
+  SUBSTR: { args: [2, 3], returns: 'string', call: substring },
+  REPLACE: {
+    args: [3, 3],
+    returns: 'string',
+    call: (name, value, search, replacement) => String(value).split(String(search)).join(String(replacement))
+  },
+  CONCAT: {
+    args: [1, Infinity],
+    returns: 'string',
+    nullable: true,
+    call: (name, ...values) => values.filter(value => !isNull(value)).join('')
+  },
+  COALESCE: {
+    args: [1, Infinity],
+    returns: 'argument',
+    nullable: true,
+    call: (name, ...values) => values.find(value => !isNull(value)) ?? null
+  },
+  NULLIF: {
+    args: [2, 2],
+    returns: 'argument',
+    nullable: true,
+    call: (name, value, other) => (value === other ? null : value ?? null)
+  },
+  ABS: { args: [1, 1], returns: 'number', call: (name, value) => Math.abs(toNumber(name, value)) },
+  ROUND: { args: [1, 2], returns: 'number', call: round },
+  FLOOR: { args: [1, 1], returns: 'number', call: (name, value) => Math.floor(toNumber(name, value)) },
+  CEIL: { args: [1, 1], returns: 'number', call: (name, value) => Math.ceil(toNumber(name, value)) },
+  NOW: { args: [0, 0], returns: 'date', call: () => new Date().toISOString() },
+  DATE: { args: [1, 1], returns: 'date', call: (name, value) => toDate(name, value).toISOString().slice(0, 10) },
+  DATE_ADD: {
+    args: [3, 3],
+    returns: 'date',
+    call: (name, value, amount, unit) =>
+      addToDate(toDate(name, value), toInteger(name, amount), toUnit(name, unit, DATE_UNITS)).toISOString()
+  },
+  DATE_DIFF: { args: [2, 3], returns: 'number', call: dateDiff },
+  EXTRACT: { args: [2, 2], returns: 'number', call: extract }
+};
+
+export function getFunction(name) {
+  return FUNCTIONS[name] || null;
+}
+
+export function callFunction(name, args) {
+  const definition = FUNCTIONS[name];
+  if (!definition.nullable && args.some(isNull)) {
+    return null;
+  }
+  return definition.call(name, ...args);
+}
+
+export function functionReturnType(name, argumentTypes) {
+  const { returns } = FUNCTIONS[name];
+  return returns === 'argument' ? argumentTypes.find(Boolean) || null : returns;
+}
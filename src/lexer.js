@@ -0,0 +1,189 @@
+const KEYWORDS = new Set([
+  'EXPLAIN', 'WITH', 'RECURSIVE', 'SELECT', 'DISTINCT', 'FROM', 'WHERE', 'AS', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'ON', 'LIKE', 'ILIKE', 'REGEXP', 'AND', 'OR', 'NOT', 'IN', 'EXISTS', 'IS', 'BETWEEN',
+  'GROUP', 'HAVING', 'OVER', 'PARTITION', 'ORDER', 'BY', 'ORDERBY', 'SORTBY', 'ASC', 'DESC', 'LIMIT', 'OFFSET',
+  'INSERT', 'INTO', 'VALUES', 'UPDATE', 'SET', 'DELETE', 'CREATE', 'DROP', 'ALTER', 'TABLE', 'VIEW',
+  'UNION', 'ALL', 'INTERSECT', 'EXCEPT', 'DIFF', 'DIFFERENCE', 'SHOW', 'TABLES',
+  'CASE', 'WHEN', 'THEN', 'ELSE', 'END',
+  'NULL', 'TRUE', 'FALSE'
+]);
+
+const OPERATORS = ['>=', '<=', '!=', '<>', '||', '=', '<', '>', '+', '-', '*', '/', '%'];
+
+const PUNCTUATION = new Set(['(', ')', ',', '.', ';', '{', '}', '[', ']', ':']);
+
+export function syntaxError(message, { start, end }, code = 'SYNTAX_ERROR', expected = []) {
+  const error = new Error(message);
+  error.code = code;
+  error.start = start;
+  error.end = Math.max(end, start + 1);
+  error.expected = expected;
+  return error;
+}
+
+export function parameterLabel({ style, value }) {
+  return style === '?' ? `?${value}` : `${style}${value}`;
+}
+
+function isIdentifierStart(char) {
+  return /[A-Za-z_]/.test(char);
+}
+
+function isIdentifierPart(char) {
+  return /[A-Za-z0-9_]/.test(char);
+}
+
+function isDigit(char) {
+  return char >= '0' && char <= '9';
+}
+
+function readString(input, start) {
+  const quote = input[start];
+  let value = '';
+  let i = start + 1;
+
+  while (i < input.length) {
+    const char = input[i];
+    if (char === '\\' && i + 1 < input.length) {
+      const next = input[i + 1];
+      const escapes = { n: '\n', t: '\t', r: '\r', '0': '\0', '\\': '\\', "'": "'", '"': '"' };
+      value += escapes[next] ?? `\\${next}`;
+      i += 2;
+    } else if (char === quote) {
+      if (input[i + 1] === quote) {
+        value += quote;
+        i += 2;
+      } else {
+        return { value, end: i + 1 };
+      }
+    } else {
+      value += char;
+      i++;
+    }
+  }
+
+  throw syntaxError('Unterminated string literal', { start, end: input.length }, 'UNTERMINATED_STRING');
+}
+
+function readNumber(input, start) {
+  let i = start;
+  while (isDigit(input[i])) i++;
+  if (input[i] === '.' && isDigit(input[i + 1])) {
+    i++;
+    while (isDigit(input[i])) i++;
+  }
+  if ((input[i] === 'e' || input[i] === 'E') &&
+      (isDigit(input[i + 1]) || (/[+-]/.test(input[i + 1] || '') && isDigit(input[i + 2])))) {
+    i += 2;
+    while (isDigit(input[i])) i++;
+  }
+  if (isIdentifierStart(input[i] || '')) {
+    throw syntaxError(`Invalid number "${input.slice(start, i + 1)}"`, { start, end: i + 1 }, 'INVALID_NUMBER');
+  }
+  return { value: Number(input.slice(start, i)), end: i };
+}
+
+export function tokenize(input) {
+  const tokens = [];
+  let positional = 0;
+  let jsonDepth = 0;
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '-' && input[i + 1] === '-') {
+      while (i < input.length && input[i] !== '\n') i++;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      const { value, end } = readString(input, i);
+      tokens.push({ type: 'string', value, start: i, end });
+      i = end;
+      continue;
+    }
+
+    if (char === '`') {
+      const end = input.indexOf('`', i + 1);
+      if (end === -1) {
+        throw syntaxError('Unterminated quoted identifier', { start: i, end: input.length }, 'UNTERMINATED_IDENTIFIER');
+      }
+      tokens.push({ type: 'identifier', value: input.slice(i + 1, end), start: i, end: end + 1 });
+      i = end + 1;
+      continue;
+    }
+
+    if (isDigit(char) || (char === '.' && isDigit(input[i + 1] || ''))) {
+      const { value, end } = readNumber(input, i);
+      tokens.push({ type: 'number', value, start: i, end });
+      i = end;
+      continue;
+    }
+
+    if (isIdentifierStart(char)) {
+      let end = i + 1;
+      while (end < input.length && isIdentifierPart(input[end])) end++;
+      const word = input.slice(i, end);
+      const upper = word.toUpperCase();
+      if (KEYWORDS.has(upper)) {
+        tokens.push({ type: 'keyword', value: upper, start: i, end });
+      } else {
+        tokens.push({ type: 'identifier', value: word, start: i, end });
+      }
+      i = end;
+      continue;
+    }
+
+    if (char === '?' && jsonDepth === 0) {
+      positional++;
+      tokens.push({ type: 'parameter', style: '?', value: positional, start: i, end: i + 1 });
+      i++;
+      continue;
+    }
+
+    if (char === '$' && jsonDepth === 0 && isDigit(input[i + 1] || '')) {
+      let end = i + 1;
+      while (isDigit(input[end] || '')) end++;
+      const value = Number(input.slice(i + 1, end));
+      if (value === 0) {
+        throw syntaxError('Parameter numbers start at $1', { start: i, end }, 'INVALID_PARAMETER');
+      }
+      tokens.push({ type: 'parameter', style: '$', value, start: i, end });
+      i = end;
+      continue;
+    }
+
+    if (char === ':' && jsonDepth === 0 && isIdentifierStart(input[i + 1] || '')) {
+      let end = i + 2;
+      while (end < input.length && isIdentifierPart(input[end])) end++;
+      tokens.push({ type: 'parameter', style: ':', value: input.slice(i + 1, end), start: i, end });
+      i = end;
+      continue;
+    }
+
+    const operator = OPERATORS.find(op => input.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, start: i, end: i + operator.length });
+      i += operator.length;
+      continue;
+    }
+
+    if (PUNCTUATION.has(char)) {
+      if (char === '{') jsonDepth++;
+      if (char === '}') jsonDepth = Math.max(jsonDepth - 1, 0);
+      tokens.push({ type: 'punctuation', value: char, start: i, end: i + 1 });
+      i++;
+      continue;
+    }
+
+    throw syntaxError(`Unexpected character "${char}"`, { start: i, end: i + 1 }, 'UNEXPECTED_CHARACTER');
+  }
+
+  tokens.push({ type: 'eof', value: null, start: input.length, end: input.length });
+  return tokens;
+}
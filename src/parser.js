@@ -0,0 +1,1082 @@
+import { tokenize, syntaxError, parameterLabel } from './lexer';
+import { getFunction } from './functions';
+
+const COMPARISON_OPERATORS = ['=', '!=', '<>', '<', '>', '<=', '>='];
+
+const AGGREGATE_FUNCTIONS = ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'];
+
+const WINDOW_FUNCTIONS = {
+  ROW_NUMBER: [0, 0],
+  RANK: [0, 0],
+  DENSE_RANK: [0, 0],
+  LAG: [1, 3],
+  LEAD: [1, 3]
+};
+
+function describe(token) {
+  if (token.type === 'eof') return 'end of query';
+  if (token.type === 'string') return `'${token.value}'`;
+  if (token.type === 'parameter') return `parameter ${parameterLabel(token)}`;
+  return `"${token.value}"`;
+}
+
+function peek(state, offset = 0) {
+  return state.tokens[Math.min(state.pos + offset, state.tokens.length - 1)];
+}
+
+function advance(state) {
+  const token = peek(state);
+  if (token.type !== 'eof') state.pos++;
+  return token;
+}
+
+function listOptions(options) {
+  return options.length === 1
+    ? options[0]
+    : `${options.slice(0, -1).join(', ')} or ${options[options.length - 1]}`;
+}
+
+function fail(state, expected) {
+  const token = peek(state);
+  const options = [].concat(expected);
+  return syntaxError(`Expected ${listOptions(options)} but found ${describe(token)}`, token, 'UNEXPECTED_TOKEN', options);
+}
+
+function isKeyword(token, keyword) {
+  return token.type === 'keyword' && token.value === keyword;
+}
+
+function isPunctuation(token, value) {
+  return token.type === 'punctuation' && token.value === value;
+}
+
+function isOperator(token, value) {
+  return token.type === 'operator' && token.value === value;
+}
+
+function isWord(token, word) {
+  return token.type === 'identifier' && token.value.toUpperCase() === word;
+}
+
+function matchKeyword(state, keyword) {
+  if (isKeyword(peek(state), keyword)) {
+    return advance(state);
+  }
+  return null;
+}
+
+function expectKeyword(state, keyword) {
+  const token = matchKeyword(state, keyword);
+  if (!token) throw fail(state, keyword);
+  return token;
+}
+
+function matchPunctuation(state, value) {
+  if (isPunctuation(peek(state), value)) {
+    return advance(state);
+  }
+  return null;
+}
+
+function expectPunctuation(state, value) {
+  const token = matchPunctuation(state, value);
+  if (!token) throw fail(state, `"${value}"`);
+  return token;
+}
+
+function matchWord(state, word) {
+  if (isWord(peek(state), word)) {
+    return advance(state);
+  }
+  return null;
+}
+
+function expectWord(state, word) {
+  const token = matchWord(state, word);
+  if (!token) throw fail(state, word);
+  return token;
+}
+
+function expectIdentifier(state, what) {
+  const token = peek(state);
+  if (token.type !== 'identifier') throw fail(state, what);
+  return advance(state);
+}
+
+function sourceSince(state, start) {
+  return state.sql.slice(start.start, state.tokens[state.pos - 1].end);
+}
+
+function parseTableName(state) {
+  return expectIdentifier(state, 'table name').value.toLowerCase();
+}
+
+function parseLiteral(state) {
+  const token = peek(state);
+
+  if (token.type === 'string' || token.type === 'number') {
+    advance(state);
+    return { type: 'literal', value: token.value };
+  }
+  if (isOperator(token, '-') && peek(state, 1).type === 'number') {
+    advance(state);
+    return { type: 'literal', value: -advance(state).value };
+  }
+  if (isKeyword(token, 'TRUE') || isKeyword(token, 'FALSE')) {
+    advance(state);
+    return { type: 'literal', value: token.value === 'TRUE' };
+  }
+  if (isKeyword(token, 'NULL')) {
+    advance(state);
+    return { type: 'literal', value: null };
+  }
+
+  throw fail(state, 'a value');
+}
+
+function parseQualifiedColumn(state) {
+  const table = expectIdentifier(state, 'table name');
+  expectPunctuation(state, '.');
+  const column = expectIdentifier(state, 'column name');
+  return { type: 'column', table: table.value.toLowerCase(), name: column.value, start: table.start, end: column.end };
+}
+
+function parseComparisonOperator(state) {
+  const token = peek(state);
+
+  if (token.type === 'operator' && COMPARISON_OPERATORS.includes(token.value)) {
+    advance(state);
+    return token.value === '<>' ? '!=' : token.value;
+  }
+  if (['LIKE', 'ILIKE', 'REGEXP'].some(keyword => isKeyword(token, keyword))) {
+    return advance(state).value;
+  }
+  return null;
+}
+
+function describeArity([min, max]) {
+  if (min === max) return `${min} argument(s)`;
+  if (max === Infinity) return `at least ${min} argument(s)`;
+  return `${min} to ${max} arguments`;
+}
+
+function parseArguments(state) {
+  const args = [];
+  if (!isPunctuation(peek(state), ')')) {
+    do {
+      args.push(parseExpression(state));
+    } while (matchPunctuation(state, ','));
+  }
+  expectPunctuation(state, ')');
+  return args;
+}
+
+function parseWindow(state, name, args) {
+  expectKeyword(state, 'OVER');
+  expectPunctuation(state, '(');
+
+  const partitionBy = [];
+  if (matchKeyword(state, 'PARTITION')) {
+    expectKeyword(state, 'BY');
+    do {
+      partitionBy.push(parseExpression(state));
+    } while (matchPunctuation(state, ','));
+  }
+
+  const orderBy = parseOrderBy(state).map(item => ({ type: 'sortKey', ...item }));
+  expectPunctuation(state, ')');
+
+  return { type: 'window', name, arguments: args, partitionBy, orderBy };
+}
+
+function parseFunctionCall(state) {
+  const token = advance(state);
+  const name = token.value.toUpperCase();
+
+  if (AGGREGATE_FUNCTIONS.includes(name)) {
+    expectPunctuation(state, '(');
+    const distinct = matchKeyword(state, 'DISTINCT');
+    let argument = null;
+    if (!distinct && name === 'COUNT' && isOperator(peek(state), '*')) {
+      advance(state);
+    } else {
+      argument = parseExpression(state);
+    }
+    expectPunctuation(state, ')');
+
+    if (isKeyword(peek(state), 'OVER')) {
+      if (distinct) {
+        throw syntaxError('DISTINCT is not supported in window functions', distinct);
+      }
+      return parseWindow(state, name, argument ? [argument] : []);
+    }
+    return { type: 'aggregate', name, argument, distinct: Boolean(distinct) };
+  }
+
+  if (WINDOW_FUNCTIONS[name]) {
+    expectPunctuation(state, '(');
+    const args = parseArguments(state);
+    const [min, max] = WINDOW_FUNCTIONS[name];
+    if (args.length < min || args.length > max) {
+      throw syntaxError(`${name} expects ${describeArity(WINDOW_FUNCTIONS[name])} but got ${args.length}`, token, 'WRONG_ARGUMENT_COUNT');
+    }
+    return parseWindow(state, name, args);
+  }
+
+  const definition = getFunction(name);
+  if (!definition) {
+    throw syntaxError(`Unknown function "${token.value}"`, token, 'UNKNOWN_FUNCTION');
+  }
+
+  expectPunctuation(state, '(');
+  let args;
+  if (name === 'EXTRACT') {
+    const unit = expectIdentifier(state, 'date part');
+    expectKeyword(state, 'FROM');
+    args = [{ type: 'literal', value: unit.value.toUpperCase() }, parseExpression(state)];
+    expectPunctuation(state, ')');
+  } else {
+    args = parseArguments(state);
+  }
+
+  const [min, max] = definition.args;
+  if (args.length < min || args.length > max) {
+    throw syntaxError(`${name} expects ${describeArity(definition.args)} but got ${args.length}`, token, 'WRONG_ARGUMENT_COUNT');
+  }
+
+  return { type: 'function', name, arguments: args };
+}
+
+function parseCase(state) {
+  const operand = isKeyword(peek(state), 'WHEN') ? null : parseExpression(state);
+
+  const branches = [];
+  while (matchKeyword(state, 'WHEN')) {
+    const condition = parseExpression(state);
+    expectKeyword(state, 'THEN');
+    branches.push({ type: 'when', condition, result: parseExpression(state) });
+  }
+  if (branches.length === 0) {
+    throw fail(state, 'WHEN');
+  }
+
+  const otherwise = matchKeyword(state, 'ELSE') ? parseExpression(state) : null;
+  expectKeyword(state, 'END');
+  return { type: 'case', operand, branches, otherwise };
+}
+
+function parsePrimary(state) {
+  const start = peek(state).start;
+  const node = parseTerm(state);
+  if (node.start === undefined) {
+    node.start = start;
+    node.end = state.tokens[state.pos - 1].end;
+  }
+  return node;
+}
+
+function parseTerm(state) {
+  const token = peek(state);
+
+  if (matchPunctuation(state, '(')) {
+    if (isKeyword(peek(state), 'SELECT')) {
+      const query = parseQuery(state);
+      expectPunctuation(state, ')');
+      return { type: 'subquery', query };
+    }
+    const expression = parseExpression(state);
+    expectPunctuation(state, ')');
+    return expression;
+  }
+
+  if (matchKeyword(state, 'EXISTS')) {
+    expectPunctuation(state, '(');
+    const query = parseQuery(state);
+    expectPunctuation(state, ')');
+    return { type: 'exists', query };
+  }
+
+  if (matchKeyword(state, 'CASE')) {
+    return parseCase(state);
+  }
+
+  if (token.type === 'identifier' && isPunctuation(peek(state, 1), '(')) {
+    return parseFunctionCall(state);
+  }
+
+  if (token.type === 'parameter') {
+    advance(state);
+    return { type: 'parameter', style: token.style, key: token.value };
+  }
+
+  if (token.type === 'identifier') {
+    advance(state);
+    if (matchPunctuation(state, '.')) {
+      const column = expectIdentifier(state, 'column name');
+      return { type: 'column', table: token.value.toLowerCase(), name: column.value };
+    }
+    return { type: 'column', name: token.value };
+  }
+
+  return parseLiteral(state);
+}
+
+function parseUnary(state) {
+  if (isOperator(peek(state), '-') && peek(state, 1).type !== 'number') {
+    advance(state);
+    return { type: 'negate', operand: parseUnary(state) };
+  }
+  return parsePrimary(state);
+}
+
+function parseMultiplicative(state) {
+  let left = parseUnary(state);
+  while (['*', '/', '%'].some(op => isOperator(peek(state), op))) {
+    const operator = advance(state).value;
+    left = { type: 'arithmetic', operator, left, right: parseUnary(state) };
+  }
+  return left;
+}
+
+function parseAdditive(state) {
+  let left = parseMultiplicative(state);
+  while (['+', '-', '||'].some(op => isOperator(peek(state), op))) {
+    const operator = advance(state).value;
+    const right = parseMultiplicative(state);
+    left = operator === '||'
+      ? { type: 'concat', left, right }
+      : { type: 'arithmetic', operator, left, right };
+  }
+  return left;
+}
+
+const NEGATABLE_PREDICATES = ['IN', 'BETWEEN', 'LIKE', 'ILIKE', 'REGEXP'];
+
+function parseIn(state, left, negated) {
+  expectKeyword(state, 'IN');
+  expectPunctuation(state, '(');
+  if (isKeyword(peek(state), 'SELECT')) {
+    const query = parseQuery(state);
+    expectPunctuation(state, ')');
+    return { type: 'in', left, query, negated };
+  }
+
+  const values = [];
+  do {
+    values.push(parseExpression(state));
+  } while (matchPunctuation(state, ','));
+  expectPunctuation(state, ')');
+  return { type: 'in', left, values, negated };
+}
+
+function parseComparison(state) {
+  const left = parseAdditive(state);
+
+  if (matchKeyword(state, 'IS')) {
+    const negated = Boolean(matchKeyword(state, 'NOT'));
+    expectKeyword(state, 'NULL');
+    return { type: 'isNull', operand: left, negated };
+  }
+
+  const negated = isKeyword(peek(state), 'NOT') &&
+    NEGATABLE_PREDICATES.some(keyword => isKeyword(peek(state, 1), keyword));
+  if (negated) {
+    advance(state);
+  }
+
+  if (isKeyword(peek(state), 'IN')) {
+    return parseIn(state, left, negated);
+  }
+
+  if (matchKeyword(state, 'BETWEEN')) {
+    const low = parseAdditive(state);
+    expectKeyword(state, 'AND');
+    const high = parseAdditive(state);
+    return { type: 'between', operand: left, low, high, negated };
+  }
+
+  const operator = parseComparisonOperator(state);
+  if (!operator) return left;
+
+  const comparison = { type: 'comparison', operator, left, right: parseAdditive(state) };
+  return negated ? { type: 'not', operand: comparison } : comparison;
+}
+
+function parseNot(state) {
+  if (matchKeyword(state, 'NOT')) {
+    return { type: 'not', operand: parseNot(state) };
+  }
+  return parseComparison(state);
+}
+
+function parseAnd(state) {
+  let left = parseNot(state);
+  while (matchKeyword(state, 'AND')) {
+    left = { type: 'logical', operator: 'AND', left, right: parseNot(state) };
+  }
+  return left;
+}
+
+function parseExpression(state) {
+  let left = parseAnd(state);
+  while (matchKeyword(state, 'OR')) {
+    left = { type: 'logical', operator: 'OR', left, right: parseAnd(state) };
+  }
+  return left;
+}
+
+function parseOrderBy(state) {
+  if (matchKeyword(state, 'ORDER')) {
+    expectKeyword(state, 'BY');
+  } else if (!matchKeyword(state, 'ORDERBY') && !matchKeyword(state, 'SORTBY')) {
+    return [];
+  }
+
+  const orderBy = [];
+  do {
+    const start = peek(state);
+    const expression = parseExpression(state);
+    let direction = 'ASC';
+    if (matchKeyword(state, 'DESC')) {
+      direction = 'DESC';
+    } else {
+      matchKeyword(state, 'ASC');
+    }
+
+    let nulls = null;
+    if (matchWord(state, 'NULLS')) {
+      if (matchWord(state, 'FIRST')) {
+        nulls = 'FIRST';
+      } else if (matchWord(state, 'LAST')) {
+        nulls = 'LAST';
+      } else {
+        throw fail(state, ['FIRST', 'LAST']);
+      }
+    }
+
+    orderBy.push({ expression, direction, nulls, source: sourceSince(state, start) });
+  } while (matchPunctuation(state, ','));
+
+  return orderBy;
+}
+
+function parseCount(state, clause) {
+  const token = peek(state);
+  if (token.type !== 'number' || !Number.isInteger(token.value) || token.value < 0) {
+    throw syntaxError(`Invalid ${clause} value`, token);
+  }
+  return advance(state).value;
+}
+
+function parseJoinType(state) {
+  if (matchKeyword(state, 'JOIN')) return 'INNER';
+
+  const token = peek(state);
+  let joinType = null;
+  if (isKeyword(token, 'INNER') || isKeyword(token, 'CROSS')) {
+    joinType = advance(state).value;
+  } else if (isKeyword(token, 'LEFT') || isKeyword(token, 'RIGHT') || isKeyword(token, 'FULL')) {
+    joinType = advance(state).value;
+    matchKeyword(state, 'OUTER');
+  } else {
+    return null;
+  }
+
+  expectKeyword(state, 'JOIN');
+  return joinType;
+}
+
+function parseTableReference(state) {
+  const token = peek(state);
+  const name = parseTableName(state);
+  let alias = name;
+  if (matchKeyword(state, 'AS')) {
+    alias = expectIdentifier(state, 'alias').value.toLowerCase();
+  } else if (peek(state).type === 'identifier') {
+    alias = advance(state).value.toLowerCase();
+  }
+  return { type: 'table', name, alias, start: token.start, end: token.end };
+}
+
+function parseSelectItem(state) {
+  const token = peek(state);
+  if (token.type === 'identifier' && isPunctuation(peek(state, 1), '.') && isOperator(peek(state, 2), '*')) {
+    state.pos += 3;
+    return { star: token.value.toLowerCase() };
+  }
+
+  const expression = parseExpression(state);
+  const end = state.tokens[state.pos - 1].end;
+
+  if (matchKeyword(state, 'AS')) {
+    const alias = peek(state);
+    if (alias.type !== 'identifier' && alias.type !== 'string') throw fail(state, 'alias');
+    advance(state);
+    return { expression, label: alias.value, alias: true };
+  }
+  if (peek(state).type === 'identifier') {
+    return { expression, label: advance(state).value, alias: true };
+  }
+
+  const label = expression.type === 'column' ? expression.name : state.sql.slice(token.start, end);
+  return { expression, label, alias: false };
+}
+
+function parseSelect(state) {
+  expectKeyword(state, 'SELECT');
+  const distinct = Boolean(matchKeyword(state, 'DISTINCT'));
+
+  let columns = null;
+  if (isOperator(peek(state), '*')) {
+    advance(state);
+  } else if (!isKeyword(peek(state), 'FROM')) {
+    columns = [];
+    do {
+      columns.push(parseSelectItem(state));
+    } while (matchPunctuation(state, ','));
+  }
+
+  expectKeyword(state, 'FROM');
+  const from = parseTableReference(state);
+
+  const sources = { where: null, groupBy: null, having: null };
+
+  const joins = [];
+  let joinType;
+  while ((joinType = parseJoinType(state))) {
+    const table = parseTableReference(state);
+    let on = null;
+    let source = null;
+    if (joinType !== 'CROSS') {
+      expectKeyword(state, 'ON');
+      const start = peek(state);
+      on = parseExpression(state);
+      source = sourceSince(state, start);
+    }
+    joins.push({ joinType, table, on, source });
+  }
+
+  let where = null;
+  if (matchKeyword(state, 'WHERE')) {
+    const start = peek(state);
+    where = parseExpression(state);
+    sources.where = sourceSince(state, start);
+  }
+
+  const groupBy = [];
+  if (matchKeyword(state, 'GROUP')) {
+    expectKeyword(state, 'BY');
+    const start = peek(state);
+    do {
+      groupBy.push(parseExpression(state));
+    } while (matchPunctuation(state, ','));
+    sources.groupBy = sourceSince(state, start);
+  }
+
+  let having = null;
+  if (matchKeyword(state, 'HAVING')) {
+    const start = peek(state);
+    having = parseExpression(state);
+    sources.having = sourceSince(state, start);
+  }
+
+  const orderBy = parseOrderBy(state);
+
+  let limit = null;
+  let offset = null;
+  if (matchKeyword(state, 'LIMIT')) {
+    limit = parseCount(state, 'LIMIT');
+  }
+  if (matchKeyword(state, 'OFFSET')) {
+    offset = parseCount(state, 'OFFSET');
+  }
+
+  return { type: 'select', distinct, columns, from, joins, where, groupBy, having, orderBy, limit, offset, sources };
+}
+
+function lastSelect(query) {
+  return query.type === 'setOperation' ? lastSelect(query.right) : query;
+}
+
+function setOperationNode(operation, left, right) {
+  return { type: 'setOperation', ...operation, left, right, orderBy: [], limit: null, offset: null };
+}
+
+function parseSetOperator(state, query, operators) {
+  const token = peek(state);
+  const operator = operators.find(keyword => isKeyword(token, keyword));
+  if (!operator) return null;
+
+  const last = lastSelect(query);
+  if (last.orderBy.length > 0 || last.limit !== null || last.offset !== null) {
+    throw syntaxError(`ORDER BY, LIMIT and OFFSET must follow the last SELECT of ${operator}`, token);
+  }
+
+  advance(state);
+  const all = operator === 'UNION' && Boolean(matchKeyword(state, 'ALL'));
+  return { operator, all };
+}
+
+function parseIntersection(state) {
+  let query = parseSelect(state);
+  let operation;
+  while ((operation = parseSetOperator(state, query, ['INTERSECT']))) {
+    query = setOperationNode(operation, query, parseSelect(state));
+  }
+  return query;
+}
+
+function parseQuery(state) {
+  let query = parseIntersection(state);
+  let operation;
+  while ((operation = parseSetOperator(state, query, ['UNION', 'EXCEPT', 'DIFF']))) {
+    query = setOperationNode(operation, query, parseIntersection(state));
+  }
+
+  if (query.type === 'setOperation') {
+    const last = lastSelect(query);
+    query.orderBy = last.orderBy;
+    query.limit = last.limit;
+    query.offset = last.offset;
+    last.orderBy = [];
+    last.limit = null;
+    last.offset = null;
+  }
+
+  return query;
+}
+
+function parseWith(state) {
+  expectKeyword(state, 'WITH');
+  const recursive = Boolean(matchKeyword(state, 'RECURSIVE'));
+
+  const ctes = [];
+  do {
+    const token = peek(state);
+    const name = parseTableName(state);
+    if (ctes.some(cte => cte.name === name)) {
+      throw syntaxError(`Common table expression "${name}" is defined more than once`, token, 'DUPLICATE_DEFINITION');
+    }
+
+    let columns = null;
+    if (matchPunctuation(state, '(')) {
+      columns = [];
+      do {
+        columns.push(expectIdentifier(state, 'column name').value);
+      } while (matchPunctuation(state, ','));
+      expectPunctuation(state, ')');
+    }
+
+    expectKeyword(state, 'AS');
+    expectPunctuation(state, '(');
+    const query = parseQuery(state);
+    expectPunctuation(state, ')');
+    ctes.push({ name, columns, query });
+  } while (matchPunctuation(state, ','));
+
+  return { type: 'with', recursive, ctes, query: parseQuery(state) };
+}
+
+function parseJsonObject(state) {
+  const open = peek(state);
+  let depth = 0;
+
+  do {
+    const token = advance(state);
+    if (token.type === 'eof') {
+      throw syntaxError('Unterminated JSON object', open, 'INVALID_JSON');
+    }
+    if (isPunctuation(token, '{')) depth++;
+    if (isPunctuation(token, '}')) depth--;
+  } while (depth > 0);
+
+  const close = state.tokens[state.pos - 1];
+  const text = state.sql.slice(open.start, close.end);
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw syntaxError(`Invalid JSON: ${error.message}`, open, 'INVALID_JSON');
+  }
+}
+
+function parseInsert(state) {
+  expectKeyword(state, 'INSERT');
+  expectKeyword(state, 'INTO');
+  const table = parseTableName(state);
+
+  if (isPunctuation(peek(state), '{')) {
+    const open = peek(state);
+    const record = parseJsonObject(state);
+    const { end } = state.tokens[state.pos - 1];
+    const columns = Object.keys(record);
+    const values = columns.map(column => ({ type: 'literal', value: record[column], start: open.start, end }));
+    return { type: 'insert', table, columns, rows: [values] };
+  }
+
+  if (!isPunctuation(peek(state), '(')) {
+    throw fail(state, ['a JSON object', 'a column list']);
+  }
+  advance(state);
+  const columns = [];
+  do {
+    columns.push(expectIdentifier(state, 'column name').value);
+  } while (matchPunctuation(state, ','));
+  expectPunctuation(state, ')');
+
+  expectKeyword(state, 'VALUES');
+  const rows = [];
+  do {
+    const valuesStart = expectPunctuation(state, '(');
+    const values = [];
+    do {
+      values.push(parseExpression(state));
+    } while (matchPunctuation(state, ','));
+    expectPunctuation(state, ')');
+
+    if (values.length !== columns.length) {
+      throw syntaxError(
+        `Expected ${columns.length} value(s) but found ${values.length}`,
+        valuesStart,
+        'VALUE_COUNT_MISMATCH'
+      );
+    }
+    rows.push(values);
+  } while (matchPunctuation(state, ','));
+
+  return { type: 'insert', table, columns, rows };
+}
+
+function parseUpdate(state) {
+  expectKeyword(state, 'UPDATE');
+  const table = parseTableName(state);
+
+  expectKeyword(state, 'SET');
+  const assignments = [];
+  do {
+    const column = expectIdentifier(state, 'column name').value;
+    if (!isOperator(peek(state), '=')) throw fail(state, '"="');
+    advance(state);
+    assignments.push({ column, value: parseExpression(state) });
+  } while (matchPunctuation(state, ','));
+
+  let where = null;
+  if (matchKeyword(state, 'WHERE')) {
+    where = parseExpression(state);
+  }
+
+  return { type: 'update', table, assignments, where };
+}
+
+function parseDelete(state) {
+  expectKeyword(state, 'DELETE');
+  expectKeyword(state, 'FROM');
+  const table = parseTableName(state);
+
+  let where = null;
+  if (matchKeyword(state, 'WHERE')) {
+    where = parseExpression(state);
+  }
+
+  return { type: 'delete', table, where };
+}
+
+function parseColumnType(state) {
+  return expectIdentifier(state, 'column type').value.toLowerCase();
+}
+
+function parseReferences(state) {
+  expectWord(state, 'REFERENCES');
+  const table = parseTableName(state);
+  let column = 'id';
+  if (matchPunctuation(state, '(')) {
+    column = expectIdentifier(state, 'column name').value;
+    expectPunctuation(state, ')');
+  }
+
+  let onDelete = 'restrict';
+  if (matchKeyword(state, 'ON')) {
+    expectKeyword(state, 'DELETE');
+    if (matchWord(state, 'CASCADE')) {
+      onDelete = 'cascade';
+    } else if (matchWord(state, 'RESTRICT')) {
+      onDelete = 'restrict';
+    } else if (matchKeyword(state, 'SET')) {
+      expectKeyword(state, 'NULL');
+      onDelete = 'set-null';
+    } else {
+      throw fail(state, ['CASCADE', 'RESTRICT', 'SET NULL']);
+    }
+  }
+
+  return { references: `${table}.${column}`, onDelete };
+}
+
+function parseColumnDefinition(state) {
+  const column = expectIdentifier(state, 'column name').value;
+  const type = parseColumnType(state);
+  const foreignKey = isWord(peek(state), 'REFERENCES') ? parseReferences(state) : null;
+  return { column, type, foreignKey };
+}
+
+function parseCreateTable(state) {
+  const table = parseTableName(state);
+  const columns = {};
+  const foreignKeys = {};
+
+  expectPunctuation(state, '(');
+  do {
+    const token = peek(state);
+    if (matchWord(state, 'FOREIGN')) {
+      expectWord(state, 'KEY');
+      expectPunctuation(state, '(');
+      const column = expectIdentifier(state, 'column name').value;
+      expectPunctuation(state, ')');
+      if (foreignKeys[column]) {
+        throw syntaxError(`Foreign key "${column}" is defined more than once`, token, 'DUPLICATE_DEFINITION');
+      }
+      foreignKeys[column] = parseReferences(state);
+    } else {
+      const { column, type, foreignKey } = parseColumnDefinition(state);
+      if (columns[column]) {
+        throw syntaxError(`Column "${column}" is defined more than once`, token, 'DUPLICATE_DEFINITION');
+      }
+      columns[column] = { type };
+      if (foreignKey) {
+        if (foreignKeys[column]) {
+          throw syntaxError(`Foreign key "${column}" is defined more than once`, token, 'DUPLICATE_DEFINITION');
+        }
+        foreignKeys[column] = foreignKey;
+      }
+    }
+  } while (matchPunctuation(state, ','));
+  expectPunctuation(state, ')');
+
+  return { type: 'createTable', table, columns, foreignKeys };
+}
+
+function parseCreate(state) {
+  expectKeyword(state, 'CREATE');
+  if (matchKeyword(state, 'TABLE')) {
+    return parseCreateTable(state);
+  }
+  if (!matchKeyword(state, 'VIEW')) {
+    throw fail(state, ['TABLE', 'VIEW']);
+  }
+  const name = parseTableName(state);
+  expectKeyword(state, 'AS');
+
+  const start = peek(state);
+  let query;
+  if (isKeyword(start, 'WITH')) {
+    query = parseWith(state);
+  } else if (isKeyword(start, 'SELECT')) {
+    query = parseQuery(state);
+  } else {
+    throw fail(state, ['SELECT', 'WITH']);
+  }
+  const end = state.tokens[state.pos - 1];
+
+  const parameter = state.tokens.find(token =>
+    token.type === 'parameter' && token.start >= start.start && token.end <= end.end);
+  if (parameter) {
+    throw syntaxError('Views cannot contain parameters', parameter);
+  }
+
+  return { type: 'createView', name, query, sql: state.sql.slice(start.start, end.end) };
+}
+
+function parseDrop(state) {
+  expectKeyword(state, 'DROP');
+  if (matchKeyword(state, 'TABLE')) {
+    return { type: 'dropTable', table: parseTableName(state) };
+  }
+  if (!matchKeyword(state, 'VIEW')) {
+    throw fail(state, ['TABLE', 'VIEW']);
+  }
+  return { type: 'dropView', name: parseTableName(state) };
+}
+
+function parseAlter(state) {
+  expectKeyword(state, 'ALTER');
+  expectKeyword(state, 'TABLE');
+  const table = parseTableName(state);
+
+  if (matchWord(state, 'ADD')) {
+    matchWord(state, 'COLUMN');
+    const { column, type, foreignKey } = parseColumnDefinition(state);
+    return { type: 'alterTable', action: 'addColumn', table, column, columnType: type, foreignKey };
+  }
+  if (matchKeyword(state, 'DROP')) {
+    matchWord(state, 'COLUMN');
+    const column = expectIdentifier(state, 'column name').value;
+    return { type: 'alterTable', action: 'dropColumn', table, column };
+  }
+  if (matchWord(state, 'RENAME')) {
+    matchWord(state, 'COLUMN');
+    const column = expectIdentifier(state, 'column name').value;
+    expectWord(state, 'TO');
+    const newName = expectIdentifier(state, 'column name').value;
+    return { type: 'alterTable', action: 'renameColumn', table, column, newName };
+  }
+
+  throw fail(state, ['ADD', 'DROP', 'RENAME']);
+}
+
+function parseLegacyJoin(state) {
+  const joinType = parseJoinType(state);
+  const left = parseTableName(state);
+  const right = parseTableName(state);
+
+  let on = null;
+  if (joinType !== 'CROSS') {
+    expectKeyword(state, 'ON');
+    const leftColumn = parseQualifiedColumn(state);
+    if (!isOperator(peek(state), '=')) throw fail(state, '"="');
+    advance(state);
+    const rightColumn = parseQualifiedColumn(state);
+    on = { left: leftColumn, right: rightColumn };
+  }
+
+  return {
+    type: 'join',
+    joinType,
+    left: { type: 'table', name: left },
+    right: { type: 'table', name: right },
+    on
+  };
+}
+
+function parseLegacySetOperation(state) {
+  const keyword = advance(state).value;
+  const operator = keyword === 'DIFFERENCE' ? 'DIFF' : keyword;
+  const left = parseTableName(state);
+  const right = parseTableName(state);
+
+  return setOperationNode(
+    { operator, all: false },
+    { type: 'table', name: left },
+    { type: 'table', name: right }
+  );
+}
+
+function parseExplain(state) {
+  expectKeyword(state, 'EXPLAIN');
+  const token = peek(state);
+  if (isKeyword(token, 'WITH')) return { type: 'explain', query: parseWith(state) };
+  if (isKeyword(token, 'SELECT')) return { type: 'explain', query: parseQuery(state) };
+  throw fail(state, ['SELECT', 'WITH']);
+}
+
+function parseStatement(state) {
+  const token = peek(state);
+
+  if (isKeyword(token, 'SELECT')) return parseQuery(state);
+  if (isKeyword(token, 'WITH')) return parseWith(state);
+  if (isKeyword(token, 'EXPLAIN')) return parseExplain(state);
+  if (isKeyword(token, 'INSERT')) return parseInsert(state);
+  if (isKeyword(token, 'UPDATE')) return parseUpdate(state);
+  if (isKeyword(token, 'DELETE')) return parseDelete(state);
+  if (isKeyword(token, 'CREATE')) return parseCreate(state);
+  if (isKeyword(token, 'DROP')) return parseDrop(state);
+  if (isKeyword(token, 'ALTER')) return parseAlter(state);
+  if (['JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'CROSS'].some(keyword => isKeyword(token, keyword))) {
+    return parseLegacyJoin(state);
+  }
+  if (['UNION', 'INTERSECT', 'DIFF', 'DIFFERENCE'].some(keyword => isKeyword(token, keyword))) {
+    return parseLegacySetOperation(state);
+  }
+  if (isKeyword(token, 'SHOW')) {
+    advance(state);
+    expectKeyword(state, 'TABLES');
+    return { type: 'showTables' };
+  }
+
+  throw fail(state, ['SELECT', 'WITH', 'EXPLAIN', 'INSERT', 'UPDATE', 'DELETE', 'CREATE', 'DROP', 'ALTER TABLE', 'JOIN', 'UNION', 'INTERSECT', 'DIFF', 'SHOW TABLES']);
+}
+
+function collectParameters(tokens) {
+  const parameters = [];
+  for (const token of tokens) {
+    if (token.type !== 'parameter') continue;
+    if (parameters.length > 0 && parameters[0].style !== token.style) {
+      throw syntaxError(`Cannot mix ${parameters[0].style} and ${token.style} parameters in one query`, token, 'MIXED_PARAMETERS');
+    }
+    if (!parameters.some(parameter => parameter.key === token.value)) {
+      parameters.push({ style: token.style, key: token.value, label: parameterLabel(token) });
+    }
+  }
+  return parameters;
+}
+
+function tokenizeScript(sql) {
+  const tokens = [];
+  let offset = 0;
+  let positional = 0;
+  const append = token => {
+    const shifted = { ...token, start: token.start + offset, end: token.end + offset };
+    if (token.type === 'parameter' && token.style === '?') shifted.value = ++positional;
+    tokens.push(shifted);
+  };
+
+  for (;;) {
+    try {
+      tokenize(sql.slice(offset)).forEach(append);
+      return tokens;
+    } catch (error) {
+      if (error.start === undefined) throw error;
+      tokenize(sql.slice(offset, offset + error.start))
+        .filter(token => token.type !== 'eof')
+        .forEach(append);
+      error.start += offset;
+      error.end += offset;
+      tokens.push({ type: 'error', error, start: error.start, end: error.end });
+      offset = error.end;
+    }
+  }
+}
+
+export function findParameters(sql) {
+  const parameters = collectParameters(tokenizeScript(sql));
+  return parameters[0]?.style === '$'
+    ? [...parameters].sort((a, b) => a.key - b.key)
+    : parameters;
+}
+
+export function parse(sql) {
+  const state = { sql, tokens: tokenize(sql), pos: 0 };
+  collectParameters(state.tokens);
+  const statement = parseStatement(state);
+
+  matchPunctuation(state, ';');
+  if (peek(state).type !== 'eof') {
+    throw fail(state, 'end of query');
+  }
+
+  return statement;
+}
+
+export function splitStatements(sql) {
+  const statements = [];
+  let first = null;
+  let last = null;
+  let positional = 0;
+  let error = null;
+
+  for (const token of tokenizeScript(sql)) {
+    if (token.type === 'eof' || isPunctuation(token, ';')) {
+      if (first) {
+        statements.push({ sql: sql.slice(first.start, last.end), start: first.start, positional, error });
+      }
+      first = null;
+      positional = 0;
+      error = null;
+    } else {
+      first = first || token;
+      last = token;
+      if (token.type === 'parameter' && token.style === '?') positional++;
+      if (token.type === 'error') error = error || token.error;
+    }
+  }
+
+  return statements;
+}
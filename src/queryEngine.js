@@ -1,4 +1,18 @@
-import { loadDB, getTableRows } from './database';
+import {
+  loadDB,
+  getTable,
+  getTableRows,
+  insertRow,
+  updateRow,
+  deleteRow,
+  createView,
+  dropView,
+  runInTransaction
+} from './database';
+import { parse, splitStatements, findParameters } from './parser';
+import { tokenize, parameterLabel } from './lexer';
+import { createTable, dropTable, addColumn, dropColumn, renameColumn } from './schema';
+import { callFunction, functionReturnType } from './functions';
 
 function recordsEqual(a, b) {
   const keysA = Object.keys(a).sort();
@@ -9,320 +23,1947 @@ function recordsEqual(a, b) {
   return keysA.every(key => a[key] === b[key]);
 }
 
-function parseValue(str) {
-  const trimmed = str.trim();
-  if (!isNaN(Number(trimmed)) && trimmed !== '') {
-    return Number(trimmed);
+const subqueryScopes = new WeakMap();
+const subqueryResults = new WeakMap();
+const windowResults = new WeakMap();
+const comparisons = new WeakMap();
+
+function isNullValue(value) {
+  return value === null || value === undefined;
+}
+
+function describeValue(value) {
+  return typeof value === 'string' ? `string "${value}"` : `${typeof value} ${value}`;
+}
+
+function typeMismatch(expected, value, target) {
+  return queryError('TYPE_MISMATCH', `Type mismatch: cannot compare ${expected} with ${describeValue(value)}`, target);
+}
+
+function comparableValue(value, type, target) {
+  switch (type) {
+    case 'date': {
+      const time = value instanceof Date
+        ? value.getTime()
+        : typeof value === 'string' ? Date.parse(value) : NaN;
+      if (Number.isNaN(time)) throw typeMismatch('a date', value, target);
+      return time;
+    }
+    case 'number':
+      if (typeof value === 'number') return value;
+      if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+      throw typeMismatch('a number', value, target);
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      throw typeMismatch('a boolean', value, target);
+    case 'string':
+      if (typeof value === 'string') return value;
+      if (typeof value === 'number') return String(value);
+      throw typeMismatch('a string', value, target);
+    default:
+      return value;
+  }
+}
+
+function storedValue(value, column, definition, target) {
+  if (isNullValue(value)) return null;
+
+  const mismatch = () => queryError(
+    'TYPE_MISMATCH',
+    `Type mismatch: column "${column}" expects a ${definition.type}, got ${describeValue(value)}`,
+    target
+  );
+  switch (definition.type) {
+    case 'number':
+      if (typeof value === 'number' && Number.isFinite(value)) return value;
+      if (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))) return Number(value);
+      throw mismatch();
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (typeof value === 'string' && /^(true|false)$/i.test(value.trim())) return value.trim().toLowerCase() === 'true';
+      throw mismatch();
+    case 'date':
+      if (value instanceof Date && !Number.isNaN(value.getTime())) return value.toISOString();
+      if (typeof value === 'string' && !Number.isNaN(Date.parse(value))) return value;
+      throw mismatch();
+    case 'string':
+    case 'uuid':
+      if (typeof value === 'string') return value;
+      if (typeof value === 'number') return String(value);
+      throw mismatch();
+    default:
+      return value;
+  }
+}
+
+function compareValues(operator, recordValue, value, type = null, [leftNode, rightNode] = []) {
+  if (isNullValue(recordValue) || isNullValue(value)) return null;
+
+  switch (operator) {
+    case 'LIKE':
+    case 'ILIKE': {
+      const pattern = String(value)
+        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/%/g, '.*')
+        .replace(/_/g, '.');
+      const regex = new RegExp(`^${pattern}$`, operator === 'ILIKE' ? 'is' : 's');
+      return regex.test(String(recordValue));
+    }
+    case 'REGEXP':
+      return new RegExp(String(value)).test(String(recordValue));
+  }
+
+  const left = comparableValue(recordValue, type, leftNode);
+  const right = comparableValue(value, type, rightNode);
+  if (typeof left !== typeof right) {
+    throw queryError(
+      'TYPE_MISMATCH',
+      `Type mismatch: cannot compare ${describeValue(recordValue)} with ${describeValue(value)}`,
+      rightNode
+    );
+  }
+
+  switch (operator) {
+    case '=': return left === right;
+    case '!=': return left !== right;
+    case '>': return left > right;
+    case '<': return left < right;
+    case '>=': return left >= right;
+    case '<=': return left <= right;
+    default: return null;
+  }
+}
+
+function truthValue(value) {
+  return isNullValue(value) ? null : Boolean(value);
+}
+
+function andValues(left, right) {
+  if (left === false || right === false) return false;
+  return left === null || right === null ? null : true;
+}
+
+function orValues(left, right) {
+  if (left === true || right === true) return true;
+  return left === null || right === null ? null : false;
+}
+
+function notValue(value) {
+  return value === null ? null : !value;
+}
+
+function applyArithmetic(operator, left, right) {
+  if (left === null || left === undefined || right === null || right === undefined) {
+    return null;
+  }
+
+  const a = Number(left);
+  const b = Number(right);
+  switch (operator) {
+    case '+': return a + b;
+    case '-': return a - b;
+    case '*': return a * b;
+    case '/':
+      if (b === 0) throw new Error('Division by zero');
+      return a / b;
+    case '%':
+      if (b === 0) throw new Error('Division by zero');
+      return a % b;
+    default: throw new Error(`Unsupported operator "${operator}"`);
+  }
+}
+
+function aggregateValues(name, values, type = null) {
+  if (name === 'COUNT') {
+    return values.length;
+  }
+  if (values.length === 0) {
+    return null;
+  }
+
+  switch (name) {
+    case 'SUM': return values.reduce((sum, value) => sum + Number(value), 0);
+    case 'AVG': return values.reduce((sum, value) => sum + Number(value), 0) / values.length;
+    case 'MIN': return values.reduce((min, value) => (compareForSort(value, min, type) < 0 ? value : min));
+    case 'MAX': return values.reduce((max, value) => (compareForSort(value, max, type) > 0 ? value : max));
+    default: throw new Error(`Unsupported aggregate function "${name}"`);
+  }
+}
+
+function computeAggregate(node, group) {
+  if (node.argument === null) {
+    return group.length;
+  }
+
+  let values = group
+    .map(row => evaluateExpression(node.argument, row))
+    .filter(value => value !== null && value !== undefined);
+  if (node.distinct) {
+    values = [...new Set(values)];
+  }
+
+  return aggregateValues(node.name, values, comparisons.get(node)?.type);
+}
+
+function evaluateExpression(node, row, group = null) {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'column':
+      return row[node.table]?.[node.name] ?? null;
+    case 'aggregate':
+      if (!group) {
+        throw new Error(`Aggregate function ${node.name} is not allowed here`);
+      }
+      return computeAggregate(node, group);
+    case 'window': {
+      const results = windowResults.get(node);
+      if (!results || !results.has(row)) {
+        throw new Error(`Window function ${node.name} is not allowed here`);
+      }
+      return results.get(row);
+    }
+    case 'subquery': {
+      const values = runSubquery(node, row);
+      if (values.length > 1) {
+        throw new Error('Scalar subquery returned more than one row');
+      }
+      return values.length === 1 ? values[0] : null;
+    }
+    case 'exists':
+      return runSubquery(node, row).length > 0;
+    case 'in': {
+      const value = evaluateExpression(node.left, row, group);
+      if (isNullValue(value)) return null;
+      const candidates = node.query
+        ? runSubquery(node, row)
+        : node.values.map(candidate => evaluateExpression(candidate, row, group));
+      const type = comparisons.get(node)?.type;
+      const found = candidates.reduce(
+        (result, candidate, i) => orValues(
+          result,
+          compareValues('=', value, candidate, type, [node.left, node.query ? node.left : node.values[i]])
+        ),
+        false
+      );
+      return node.negated ? notValue(found) : found;
+    }
+    case 'isNull': {
+      const value = evaluateExpression(node.operand, row, group);
+      const isNull = value === null || value === undefined;
+      return node.negated ? !isNull : isNull;
+    }
+    case 'between': {
+      const value = evaluateExpression(node.operand, row, group);
+      const type = comparisons.get(node)?.type;
+      const inRange = andValues(
+        compareValues('>=', value, evaluateExpression(node.low, row, group), type, [node.operand, node.low]),
+        compareValues('<=', value, evaluateExpression(node.high, row, group), type, [node.operand, node.high])
+      );
+      return node.negated ? notValue(inRange) : inRange;
+    }
+    case 'comparison':
+      return compareValues(
+        node.operator,
+        evaluateExpression(node.left, row, group),
+        evaluateExpression(node.right, row, group),
+        comparisons.get(node)?.type,
+        [node.left, node.right]
+      );
+    case 'negate': {
+      const value = evaluateExpression(node.operand, row, group);
+      return value === null || value === undefined ? null : -Number(value);
+    }
+    case 'function':
+      return callFunction(node.name, node.arguments.map(argument => evaluateExpression(argument, row, group)));
+    case 'concat': {
+      const left = evaluateExpression(node.left, row, group);
+      const right = evaluateExpression(node.right, row, group);
+      return left === null || right === null ? null : `${left}${right}`;
+    }
+    case 'case': {
+      const operand = node.operand ? evaluateExpression(node.operand, row, group) : null;
+      const branch = node.branches.find(({ condition }) => {
+        const value = evaluateExpression(condition, row, group);
+        return node.operand
+          ? compareValues('=', operand, value, comparisons.get(node)?.type, [node.operand, condition])
+          : Boolean(value);
+      });
+      if (branch) {
+        return evaluateExpression(branch.result, row, group);
+      }
+      return node.otherwise ? evaluateExpression(node.otherwise, row, group) : null;
+    }
+    case 'arithmetic':
+      return applyArithmetic(
+        node.operator,
+        evaluateExpression(node.left, row, group),
+        evaluateExpression(node.right, row, group)
+      );
+    case 'not':
+      return notValue(truthValue(evaluateExpression(node.operand, row, group)));
+    case 'logical': {
+      const left = truthValue(evaluateExpression(node.left, row, group));
+      if (left === (node.operator === 'OR')) return left;
+      const right = truthValue(evaluateExpression(node.right, row, group));
+      return node.operator === 'AND' ? andValues(left, right) : orValues(left, right);
+    }
+    default:
+      throw new Error(`Unsupported expression "${node.type}"`);
+  }
+}
+
+function childNodes(node) {
+  const children = [];
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'query') continue;
+    if (Array.isArray(value)) {
+      children.push(...value.filter(item => item && typeof item.type === 'string'));
+    } else if (value && typeof value.type === 'string') {
+      children.push(value);
+    }
+  }
+  return children;
+}
+
+function containsAggregate(node) {
+  if (node.type === 'aggregate') return true;
+  return childNodes(node).some(containsAggregate);
+}
+
+function collectWindows(node, windows = []) {
+  if (node.type === 'window') {
+    windows.push(node);
+    return windows;
+  }
+  for (const child of childNodes(node)) {
+    collectWindows(child, windows);
+  }
+  return windows;
+}
+
+function collectColumns(node, columns = []) {
+  if (node.type === 'column') {
+    columns.push(node);
+  }
+  for (const child of childNodes(node)) {
+    collectColumns(child, columns);
+  }
+  return columns;
+}
+
+function collectSubqueries(node, subqueries = []) {
+  if (node.query) {
+    subqueries.push(node);
+  }
+  for (const child of childNodes(node)) {
+    collectSubqueries(child, subqueries);
+  }
+  return subqueries;
+}
+
+function expressionKey(node) {
+  return JSON.stringify(node, (key, value) => (key === 'start' || key === 'end' ? undefined : value));
+}
+
+function isGroupedExpression(node, groupBy, localNames) {
+  if (groupBy.some(expression => expressionKey(expression) === expressionKey(node))) return true;
+  if (node.type === 'aggregate') return true;
+  if (node.type === 'column') return !localNames.includes(node.table);
+  return childNodes(node).every(child => isGroupedExpression(child, groupBy, localNames));
+}
+
+function queryError(code, message, target) {
+  const error = new Error(message);
+  error.code = code;
+  error.target = target;
+  return error;
+}
+
+function bindTable(db, reference) {
+  const cte = db.ctes?.[reference.name];
+  if (cte) {
+    return { name: reference.alias || reference.name, table: reference.name, source: 'cte', columns: cte.columns, rows: cte.rows };
+  }
+
+  const view = db.views?.[reference.name];
+  if (view) {
+    let expanded;
+    try {
+      expanded = expandView(view, db);
+    } catch (error) {
+      throw queryError(error.code, `View "${reference.name}": ${error.message}`, reference);
+    }
+    const { columns, rows, plan } = expanded;
+    return { name: reference.alias || reference.name, table: reference.name, source: 'view', columns, rows, plan };
+  }
+
+  const table = db.tables[reference.name];
+  if (!table) {
+    throw queryError('UNKNOWN_TABLE', `Table "${reference.name}" does not exist`, reference);
+  }
+  return { name: reference.alias || reference.name, table: reference.name, source: 'table', columns: table.schema.columns };
+}
+
+function findBinding(bindings, name) {
+  for (let i = bindings.length - 1; i >= 0; i--) {
+    if (bindings[i].name === name) return bindings[i];
+  }
+  return null;
+}
+
+function resolveColumns(node, bindings, outer = null) {
+  const outerBindings = outer ? outer.bindings : [];
+
+  for (const column of collectColumns(node)) {
+    if (column.table) {
+      let binding = findBinding(bindings, column.table);
+      if (!binding) {
+        binding = findBinding(outerBindings, column.table);
+        if (binding) outer.references.add(binding.name);
+      }
+      if (!binding) {
+        throw queryError('UNKNOWN_TABLE', `Unknown table or alias "${column.table}"`, column);
+      }
+      if (!binding.columns[column.name]) {
+        throw queryError('UNKNOWN_COLUMN', `Column "${column.name}" does not exist in table "${binding.table}"`, column);
+      }
+      continue;
+    }
+
+    const matches = bindings.filter(b => b.columns[column.name]);
+    if (matches.length > 1) {
+      throw queryError(
+        'AMBIGUOUS_COLUMN',
+        `Column "${column.name}" is ambiguous; qualify it with one of: ${matches.map(b => b.name).join(', ')}`,
+        column
+      );
+    }
+    if (matches.length === 1) {
+      column.table = matches[0].name;
+      continue;
+    }
+
+    const outerMatch = [...outerBindings].reverse().find(b => b.columns[column.name]);
+    if (!outerMatch) {
+      throw queryError('UNKNOWN_COLUMN', bindings.length === 1
+        ? `Column "${column.name}" does not exist in table "${bindings[0].table}"`
+        : `Column "${column.name}" does not exist`, column);
+    }
+    column.table = outerMatch.name;
+    outer.references.add(outerMatch.name);
+  }
+}
+
+function comparableType(node, bindings) {
+  if (node.type === 'literal') return null;
+  const type = expressionType(node, bindings);
+  return type === 'uuid' ? 'string' : type;
+}
+
+function analyzeComparison(nodes, bindings) {
+  const nodeTypes = nodes.map(node => comparableType(node, bindings));
+  const types = [...new Set(nodeTypes.filter(Boolean))];
+  const other = types.find(type => type !== 'date' && type !== 'string');
+  if (types.length > 1 && (types.length > 2 || !types.includes('date') || other)) {
+    throw queryError(
+      'TYPE_MISMATCH',
+      `Type mismatch: cannot compare ${types[0]} with ${types[1]}`,
+      nodes[nodeTypes.indexOf(types[1])]
+    );
+  }
+  return { type: types.includes('date') ? 'date' : types[0] || null };
+}
+
+function annotateComparisons(node, bindings) {
+  if (node.type === 'comparison' && !['LIKE', 'ILIKE', 'REGEXP'].includes(node.operator)) {
+    comparisons.set(node, analyzeComparison([node.left, node.right], bindings));
+  } else if (node.type === 'in') {
+    comparisons.set(node, analyzeComparison([node.left, ...(node.values || [])], bindings));
+  } else if (node.type === 'between') {
+    comparisons.set(node, analyzeComparison([node.operand, node.low, node.high], bindings));
+  } else if (node.type === 'case' && node.operand) {
+    comparisons.set(node, analyzeComparison([node.operand, ...node.branches.map(branch => branch.condition)], bindings));
+  } else if (node.type === 'aggregate' && node.argument && ['MIN', 'MAX'].includes(node.name)) {
+    comparisons.set(node, { type: expressionType(node.argument, bindings) });
+  } else if (node.type === 'window' && node.arguments.length > 0 && ['MIN', 'MAX'].includes(node.name)) {
+    comparisons.set(node, { type: expressionType(node.arguments[0], bindings) });
+  }
+  childNodes(node).forEach(child => annotateComparisons(child, bindings));
+}
+
+function prepareExpression(node, db, bindings, outer = null) {
+  resolveColumns(node, bindings, outer);
+  annotateComparisons(node, [...bindings, ...(outer ? outer.bindings : [])]);
+  for (const subquery of collectSubqueries(node)) {
+    subqueryScopes.set(subquery, {
+      db,
+      bindings: [...(outer ? outer.bindings : []), ...bindings],
+      localNames: bindings.map(b => b.name),
+      parentReferences: outer ? outer.references : null
+    });
+  }
+}
+
+function runSubquery(node, row) {
+  if (subqueryResults.has(node)) {
+    return subqueryResults.get(node);
+  }
+
+  const scope = subqueryScopes.get(node);
+  const references = new Set();
+  const result = executeQueryStatement(node.query, scope.db, { bindings: scope.bindings, row, references });
+  if (result.error) {
+    throw new Error(result.error);
+  }
+
+  for (const name of references) {
+    if (!scope.localNames.includes(name)) scope.parentReferences?.add(name);
+  }
+
+  let values = result.data;
+  if (node.type !== 'exists') {
+    if (result.columns.length !== 1) {
+      throw new Error('Subquery must return exactly one column');
+    }
+    values = result.data.map(record => record[result.columns[0].name] ?? null);
+  }
+
+  if (references.size === 0) {
+    subqueryResults.set(node, values);
+  }
+  return values;
+}
+
+function columnType(node, bindings) {
+  if (node.type !== 'column') return null;
+  const binding = bindings.find(b => b.name === node.table);
+  return binding?.columns[node.name]?.type || null;
+}
+
+function sortValue(value, type) {
+  try {
+    return comparableValue(value, type);
+  } catch (error) {
+    return value;
+  }
+}
+
+function compareForSort(valueA, valueB, type) {
+  const a = sortValue(valueA, type);
+  const b = sortValue(valueB, type);
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  if (typeof a === 'boolean' && typeof b === 'boolean') {
+    return Number(a) - Number(b);
+  }
+  if (typeof a === 'number' || typeof b === 'number') {
+    return typeof a === 'number' ? -1 : 1;
+  }
+  return String(a).localeCompare(String(b));
+}
+
+function expressionType(node, bindings) {
+  switch (node.type) {
+    case 'column':
+      return columnType(node, bindings);
+    case 'literal':
+      return node.value === null ? null : typeof node.value;
+    case 'aggregate':
+      return (node.name === 'MIN' || node.name === 'MAX') && node.argument
+        ? expressionType(node.argument, bindings)
+        : 'number';
+    case 'arithmetic':
+    case 'negate':
+      return 'number';
+    case 'concat':
+      return 'string';
+    case 'function':
+      return functionReturnType(node.name, node.arguments.map(argument => expressionType(argument, bindings)));
+    case 'window':
+      return ['LAG', 'LEAD', 'MIN', 'MAX'].includes(node.name) && node.arguments.length > 0
+        ? expressionType(node.arguments[0], bindings)
+        : 'number';
+    case 'case':
+      return [...node.branches.map(branch => branch.result), node.otherwise]
+        .filter(Boolean)
+        .map(result => expressionType(result, bindings))
+        .find(Boolean) || null;
+    case 'comparison':
+    case 'logical':
+    case 'not':
+    case 'in':
+    case 'exists':
+    case 'isNull':
+    case 'between':
+      return 'boolean';
+    default:
+      return null;
+  }
+}
+
+function compareSortValues(valuesA, valuesB, keys) {
+  for (let i = 0; i < keys.length; i++) {
+    const { direction, nulls, columnType } = keys[i];
+    const valueA = valuesA[i];
+    const valueB = valuesB[i];
+    const nullA = valueA === null || valueA === undefined;
+    const nullB = valueB === null || valueB === undefined;
+
+    if (nullA || nullB) {
+      if (nullA && nullB) continue;
+      const nullsFirst = nulls ? nulls === 'FIRST' : direction === 'DESC';
+      return nullA === nullsFirst ? -1 : 1;
+    }
+
+    const order = compareForSort(valueA, valueB, columnType);
+    if (order !== 0) {
+      return direction === 'DESC' ? -order : order;
+    }
+  }
+  return 0;
+}
+
+function sortDecorated(items, orderBy, bindings) {
+  const keys = orderBy.map(item => ({
+    ...item,
+    columnType: expressionType(item.expression, bindings)
+  }));
+
+  const decorated = items.map(item => ({
+    item,
+    values: keys.map(key => evaluateExpression(key.expression, item.row, item.rows))
+  }));
+
+  decorated.sort((a, b) => compareSortValues(a.values, b.values, keys));
+  return { decorated, keys };
+}
+
+function sortRows(items, orderBy, bindings) {
+  return sortDecorated(items, orderBy, bindings).decorated.map(entry => entry.item);
+}
+
+function groupRows(rows, statement, emptyRow = {}) {
+  const groups = new Map();
+  for (const row of rows) {
+    const key = JSON.stringify(statement.groupBy.map(expression => evaluateExpression(expression, row)));
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(row);
+  }
+
+  if (statement.groupBy.length === 0 && groups.size === 0) {
+    groups.set('[]', []);
+  }
+
+  return [...groups.values()].map(group => ({ row: group[0] || emptyRow, rows: group }));
+}
+
+function tableRows(binding, db) {
+  return binding.rows || Object.values(db.tables[binding.table].rows);
+}
+
+function scanTable(binding, db) {
+  return tableRows(binding, db).map(record => ({ [binding.name]: record }));
+}
+
+function splitConjuncts(node) {
+  if (node.type === 'logical' && node.operator === 'AND') {
+    return [...splitConjuncts(node.left), ...splitConjuncts(node.right)];
+  }
+  return [node];
+}
+
+function combineConjuncts(conjuncts) {
+  return conjuncts.reduce((left, right) => (left ? { type: 'logical', operator: 'AND', left, right } : right), null);
+}
+
+function referencesOnly(node, names) {
+  return collectColumns(node).every(column => names.includes(column.table));
+}
+
+function findEquiJoinKey(on, leftBindings, binding) {
+  const leftNames = leftBindings.map(b => b.name);
+  const conjuncts = splitConjuncts(on);
+
+  for (let i = 0; i < conjuncts.length; i++) {
+    const conjunct = conjuncts[i];
+    if (conjunct.type !== 'comparison' || conjunct.operator !== '=') continue;
+
+    let leftKey = null;
+    let rightKey = null;
+    if (referencesOnly(conjunct.left, leftNames) && referencesOnly(conjunct.right, [binding.name])) {
+      leftKey = conjunct.left;
+      rightKey = conjunct.right;
+    } else if (referencesOnly(conjunct.right, leftNames) && referencesOnly(conjunct.left, [binding.name])) {
+      leftKey = conjunct.right;
+      rightKey = conjunct.left;
+    }
+
+    if (leftKey && rightKey && collectColumns(rightKey).length > 0 && collectColumns(leftKey).length > 0) {
+      const residual = combineConjuncts(conjuncts.filter((_, j) => j !== i));
+      return { leftKey, rightKey, residual, type: comparisons.get(conjunct)?.type ?? null };
+    }
+  }
+
+  return null;
+}
+
+function isHashable(value) {
+  return !isNullValue(value) && !(typeof value === 'number' && Number.isNaN(value));
+}
+
+function joinKey(value, type, node) {
+  return isNullValue(value) ? null : comparableValue(value, type, node);
+}
+
+function isSortedBy(keys) {
+  if (keys.length === 0) return true;
+  const type = typeof keys[0];
+  if (type !== 'number' && type !== 'string') return false;
+
+  for (let i = 0; i < keys.length; i++) {
+    if (typeof keys[i] !== type || Number.isNaN(keys[i])) return false;
+    if (i > 0 && keys[i - 1] > keys[i]) return false;
+  }
+  return true;
+}
+
+function nestedLoopMatches(rows, records, binding, on) {
+  return rows.map(row => {
+    const matches = [];
+    records.forEach((record, j) => {
+      if (!on || evaluateExpression(on, { ...row, [binding.name]: record })) {
+        matches.push(j);
+      }
+    });
+    return matches;
+  });
+}
+
+function hashMatches(rows, records, binding, key, leftKeys, rightKeys) {
+  const matches = rows.map(() => []);
+  const accepts = (i, j) => !key.residual ||
+    evaluateExpression(key.residual, { ...rows[i], [binding.name]: records[j] });
+
+  if (records.length <= rows.length) {
+    const table = new Map();
+    rightKeys.forEach((value, j) => {
+      if (!isHashable(value)) return;
+      if (!table.has(value)) table.set(value, []);
+      table.get(value).push(j);
+    });
+    leftKeys.forEach((value, i) => {
+      for (const j of table.get(value) || []) {
+        if (accepts(i, j)) matches[i].push(j);
+      }
+    });
+  } else {
+    const table = new Map();
+    leftKeys.forEach((value, i) => {
+      if (!isHashable(value)) return;
+      if (!table.has(value)) table.set(value, []);
+      table.get(value).push(i);
+    });
+    rightKeys.forEach((value, j) => {
+      for (const i of table.get(value) || []) {
+        if (accepts(i, j)) matches[i].push(j);
+      }
+    });
+  }
+
+  return matches;
+}
+
+function mergeMatches(rows, records, binding, key, leftKeys, rightKeys) {
+  const matches = rows.map(() => []);
+  let start = 0;
+
+  for (let i = 0; i < rows.length; i++) {
+    while (start < records.length && rightKeys[start] < leftKeys[i]) start++;
+    for (let j = start; j < records.length && rightKeys[j] === leftKeys[i]; j++) {
+      if (!key.residual || evaluateExpression(key.residual, { ...rows[i], [binding.name]: records[j] })) {
+        matches[i].push(j);
+      }
+    }
+  }
+
+  return matches;
+}
+
+function planJoin(rows, records, leftBindings, binding, joinType, on) {
+  const key = joinType === 'CROSS' || !on ? null : findEquiJoinKey(on, leftBindings, binding);
+  if (!key) {
+    return { strategy: 'nested loop', matches: nestedLoopMatches(rows, records, binding, on) };
+  }
+
+  const leftKeys = rows.map(row => joinKey(evaluateExpression(key.leftKey, row), key.type, key.leftKey));
+  const rightKeys = records.map(record =>
+    joinKey(evaluateExpression(key.rightKey, { [binding.name]: record }), key.type, key.rightKey)
+  );
+
+  if (isSortedBy(leftKeys) && isSortedBy(rightKeys) && typeof leftKeys[0] === typeof rightKeys[0]) {
+    return { strategy: 'merge join', matches: mergeMatches(rows, records, binding, key, leftKeys, rightKeys) };
+  }
+
+  return {
+    strategy: 'hash join',
+    buildSide: records.length <= rows.length ? 'right' : 'left',
+    matches: hashMatches(rows, records, binding, key, leftKeys, rightKeys)
+  };
+}
+
+function joinRows(rows, leftBindings, binding, records, joinType, on) {
+  const { strategy, buildSide, matches } = planJoin(rows, records, leftBindings, binding, joinType, on);
+  const joined = [];
+  const matchedRecords = new Set();
+  const emptyLeft = Object.fromEntries(leftBindings.map(b => [b.name, null]));
+
+  rows.forEach((row, i) => {
+    for (const j of matches[i]) {
+      joined.push({ ...row, [binding.name]: records[j] });
+      matchedRecords.add(j);
+    }
+    if (matches[i].length === 0 && (joinType === 'LEFT' || joinType === 'FULL')) {
+      joined.push({ ...row, [binding.name]: null });
+    }
+  });
+
+  if (joinType === 'RIGHT' || joinType === 'FULL') {
+    records.forEach((record, j) => {
+      if (!matchedRecords.has(j)) {
+        joined.push({ ...emptyLeft, [binding.name]: record });
+      }
+    });
+  }
+
+  return { rows: joined, strategy, buildSide };
+}
+
+function partitionItems(items, partitionBy) {
+  const partitions = new Map();
+  for (const item of items) {
+    const key = JSON.stringify(partitionBy.map(expression => evaluateExpression(expression, item.row, item.rows)));
+    if (!partitions.has(key)) {
+      partitions.set(key, []);
+    }
+    partitions.get(key).push(item);
+  }
+  return [...partitions.values()];
+}
+
+function windowValue(node, partition, index, peerStart, peerEnd, denseRank) {
+  const { item } = partition[index];
+  const argument = (i, fallback = null) => (node.arguments[i]
+    ? evaluateExpression(node.arguments[i], item.row, item.rows)
+    : fallback);
+
+  switch (node.name) {
+    case 'ROW_NUMBER':
+      return index + 1;
+    case 'RANK':
+      return peerStart + 1;
+    case 'DENSE_RANK':
+      return denseRank;
+    case 'LAG':
+    case 'LEAD': {
+      const offset = Number(argument(1, 1));
+      if (!Number.isInteger(offset) || offset < 0) {
+        throw new Error(`${node.name} offset must be a non-negative whole number`);
+      }
+      const target = partition[node.name === 'LAG' ? index - offset : index + offset];
+      return target
+        ? evaluateExpression(node.arguments[0], target.item.row, target.item.rows)
+        : argument(2);
+    }
+    default: {
+      const frame = node.orderBy.length > 0 ? partition.slice(0, peerEnd) : partition;
+      if (node.arguments.length === 0) {
+        return frame.length;
+      }
+      const values = frame
+        .map(entry => evaluateExpression(node.arguments[0], entry.item.row, entry.item.rows))
+        .filter(value => value !== null && value !== undefined);
+      return aggregateValues(node.name, values, comparisons.get(node)?.type);
+    }
+  }
+}
+
+function computeWindows(items, windows, bindings) {
+  for (const node of windows) {
+    const results = new Map();
+    for (const members of partitionItems(items, node.partitionBy)) {
+      const { decorated: partition, keys } = sortDecorated(members, node.orderBy, bindings);
+
+      let peerStart = 0;
+      let denseRank = 0;
+      while (peerStart < partition.length) {
+        let peerEnd = peerStart + 1;
+        while (peerEnd < partition.length &&
+          compareSortValues(partition[peerStart].values, partition[peerEnd].values, keys) === 0) {
+          peerEnd++;
+        }
+        denseRank++;
+        for (let index = peerStart; index < peerEnd; index++) {
+          results.set(partition[index].item.row, windowValue(node, partition, index, peerStart, peerEnd, denseRank));
+        }
+        peerStart = peerEnd;
+      }
+    }
+    windowResults.set(node, results);
+  }
+}
+
+function planNode(operation, detail, estimatedRows, actualRows, children = []) {
+  const estimated = estimatedRows > 0 ? Math.max(1, Math.round(estimatedRows)) : 0;
+  return { operation, detail, estimatedRows: estimated, actualRows, children };
+}
+
+function withPlan(result, plan, db) {
+  return db.explain ? { ...result, plan } : result;
+}
+
+const SCAN_OPERATIONS = { table: 'Table Scan', cte: 'CTE Scan', view: 'View Scan' };
+
+function scanPlan(binding, count) {
+  const detail = binding.name === binding.table ? binding.table : `${binding.table} AS ${binding.name}`;
+  return planNode(SCAN_OPERATIONS[binding.source], detail, count, count, binding.plan ? [binding.plan] : []);
+}
+
+function estimateSelectivity(node) {
+  switch (node.type) {
+    case 'logical': {
+      const left = estimateSelectivity(node.left);
+      const right = estimateSelectivity(node.right);
+      return node.operator === 'AND' ? left * right : left + right - left * right;
+    }
+    case 'not':
+      return 1 - estimateSelectivity(node.operand);
+    case 'comparison':
+      if (node.operator === '=') return 0.1;
+      if (node.operator === '!=') return 0.9;
+      return ['<', '>', '<=', '>='].includes(node.operator) ? 1 / 3 : 0.25;
+    case 'isNull':
+      return node.negated ? 0.9 : 0.1;
+    case 'between':
+      return node.negated ? 0.75 : 0.25;
+    case 'in': {
+      const selectivity = node.values ? Math.min(0.1 * node.values.length, 0.5) : 0.5;
+      return node.negated ? 1 - selectivity : selectivity;
+    }
+    default:
+      return 0.5;
+  }
+}
+
+function estimateJoinRows(left, right, joinType, strategy) {
+  if (joinType === 'CROSS') return left * right;
+  const matched = strategy === 'nested loop' ? left * right / 3 : Math.max(left, right);
+  if (joinType === 'LEFT') return Math.max(matched, left);
+  if (joinType === 'RIGHT') return Math.max(matched, right);
+  if (joinType === 'FULL') return Math.max(matched, left, right);
+  return matched;
+}
+
+function limitPlan(plan, statement, actualRows) {
+  if (statement.limit === null && statement.offset === null) {
+    return plan;
+  }
+  const offset = statement.offset || 0;
+  const available = Math.max(plan.estimatedRows - offset, 0);
+  const detail = [
+    statement.limit !== null && `LIMIT ${statement.limit}`,
+    statement.offset !== null && `OFFSET ${statement.offset}`
+  ].filter(Boolean).join(' ');
+  return planNode('Limit', detail, statement.limit === null ? available : Math.min(available, statement.limit), actualRows, [plan]);
+}
+
+function sortPlan(plan, orderBy, actualRows) {
+  return orderBy.length > 0
+    ? planNode('Sort', orderBy.map(item => item.source).join(', '), plan.estimatedRows, actualRows, [plan])
+    : plan;
+}
+
+function executeJoins(statement, db, bindings, outer) {
+  let rows = scanTable(bindings[0], db).map(row => ({ ...outer.row, ...row }));
+  let plan = scanPlan(bindings[0], rows.length);
+
+  for (const join of statement.joins) {
+    const binding = bindTable(db, join.table);
+    if (bindings.some(b => b.name === binding.name)) {
+      throw new Error(`Table name "${binding.name}" is used more than once; give it an alias`);
+    }
+    const leftBindings = [...bindings];
+    bindings.push(binding);
+    if (join.on) {
+      prepareExpression(join.on, db, bindings, outer);
+    }
+
+    const records = tableRows(binding, db);
+    const joined = joinRows(rows, leftBindings, binding, records, join.joinType, join.on);
+    rows = joined.rows;
+
+    const detail = [
+      `${join.joinType} JOIN ${binding.name} using ${joined.strategy}`,
+      joined.buildSide && `(hash built on the ${joined.buildSide} side)`,
+      join.source && `ON ${join.source}`
+    ].filter(Boolean).join(' ');
+    plan = planNode(
+      'Join',
+      detail,
+      estimateJoinRows(plan.estimatedRows, records.length, join.joinType, joined.strategy),
+      rows.length,
+      [plan, scanPlan(binding, records.length)]
+    );
   }
-  if (trimmed.toLowerCase() === 'true') return true;
-  if (trimmed.toLowerCase() === 'false') return false;
-  return trimmed.replace(/^["']|["']$/g, '');
+
+  return {
+    rows: statement.joins.length > 0 ? rows.map(row => ({ ...outer.row, ...row })) : rows,
+    plan
+  };
 }
 
-function evaluateCondition(record, field, operator, value) {
-  const recordValue = record[field];
-  
-  switch (operator) {
-    case '=': return recordValue === value;
-    case '!=': return recordValue !== value;
-    case '>': return Number(recordValue) > Number(value);
-    case '<': return Number(recordValue) < Number(value);
-    case '>=': return Number(recordValue) >= Number(value);
-    case '<=': return Number(recordValue) <= Number(value);
-    case 'LIKE': {
-      const pattern = value.toString().replace(/%/g, '.*').replace(/_/g, '.');
-      const regex = new RegExp(`^${pattern}$`, 'i');
-      return regex.test(recordValue?.toString() || '');
-    }
-    default: return false;
-  }
-}
-
-function parseWhere(whereStr) {
-  const patterns = [
-    /(\w+)\s*(>=|<=|!=|LIKE)\s*(.+)/i,
-    /(\w+)\s*(>|<|=)\s*(.+)/,
-  ];
-  
-  for (const pattern of patterns) {
-    const match = whereStr.match(pattern);
-    if (match) {
-      return {
-        field: match[1].trim(),
-        operator: match[2].trim(),
-        value: parseValue(match[3].trim())
-      };
+function expandStar(row, bindings, only = null) {
+  const qualify = bindings.length > 1;
+  const expanded = {};
+  for (const binding of bindings) {
+    if (only && binding.name !== only) continue;
+    const record = row[binding.name];
+    for (const column of Object.keys(record || binding.columns)) {
+      expanded[qualify ? `${binding.name}.${column}` : column] = record ? record[column] : null;
     }
   }
-  return null;
+  return expanded;
 }
 
-function executeSelect(query, db) {
-  const upper = query.toUpperCase();
-  
-  const fromMatch = query.match(/SELECT\s+(.+?)\s+FROM\s+(\w+)/i);
-  if (!fromMatch) {
-    return { error: 'Invalid SELECT syntax. Use: SELECT columns FROM table' };
+function starColumns(bindings, only = null) {
+  const qualify = bindings.length > 1;
+  return bindings
+    .filter(binding => !only || binding.name === only)
+    .flatMap(binding => Object.entries(binding.columns).map(([column, definition]) => ({
+      name: qualify ? `${binding.name}.${column}` : column,
+      type: definition.type || null
+    })));
+}
+
+function selectLabels(selectItems) {
+  const counts = {};
+  for (const item of selectItems) {
+    if (item.label) counts[item.label] = (counts[item.label] || 0) + 1;
   }
+  return selectItems.map(item => {
+    if (item.label && counts[item.label] > 1 && !item.alias && item.expression.type === 'column') {
+      return `${item.expression.table}.${item.expression.name}`;
+    }
+    return item.label;
+  });
+}
 
-  const columnsStr = fromMatch[1].trim();
-  const tableName = fromMatch[2].toLowerCase();
-  
-  if (!db.tables[tableName]) {
-    return { error: `Table "${tableName}" does not exist` };
+function sliceRows(rows, statement) {
+  if (statement.offset === null && statement.limit === null) {
+    return rows;
   }
+  const start = statement.offset || 0;
+  const end = statement.limit === null ? undefined : start + statement.limit;
+  return rows.slice(start, end);
+}
 
-  let result = getTableRows(tableName);
-  
-  const selectAll = columnsStr === '*';
-  let selectedColumns = null;
-  
-  if (!selectAll) {
-    selectedColumns = columnsStr.split(',').map(c => c.trim());
-    const table = db.tables[tableName];
-    const validColumns = Object.keys(table.schema.columns);
-    for (const col of selectedColumns) {
-      if (!validColumns.includes(col)) {
-        return { error: `Column "${col}" does not exist in table "${tableName}"` };
-      }
+function distinctRows(records) {
+  const seen = createRowSet();
+  return records.filter(record => {
+    if (seen.has(record)) return false;
+    seen.add(record);
+    return true;
+  });
+}
+
+function executeSelect(statement, db, outer = { bindings: [], row: {}, references: new Set() }) {
+  const bindings = [bindTable(db, statement.from)];
+  let { rows, plan } = executeJoins(statement, db, bindings, outer);
+
+  const selectItems = statement.columns || [];
+  for (const item of selectItems) {
+    if (item.star && !bindings.some(b => b.name === item.star)) {
+      throw queryError('UNKNOWN_TABLE', `Unknown table or alias "${item.star}"`, item.star);
     }
   }
 
-  const whereIndex = upper.indexOf('WHERE');
-  if (whereIndex !== -1) {
-    const whereStr = query.substring(whereIndex + 5).trim();
-    const condition = parseWhere(whereStr);
-    
-    if (!condition) {
-      return { error: 'Invalid WHERE clause' };
+  const expressionItems = selectItems.filter(item => !item.star);
+  for (const item of statement.orderBy) {
+    const aliased = item.expression.type === 'column' && !item.expression.table &&
+      expressionItems.find(selectItem => selectItem.alias && selectItem.label === item.expression.name);
+    if (aliased) {
+      item.expression = aliased.expression;
     }
-    
-    result = result.filter(record => 
-      evaluateCondition(record, condition.field, condition.operator, condition.value)
-    );
   }
+  const expressions = [
+    ...expressionItems.map(item => item.expression),
+    ...statement.groupBy,
+    ...statement.orderBy.map(item => item.expression),
+    statement.where,
+    statement.having
+  ].filter(Boolean);
 
-  if (!selectAll && selectedColumns) {
-    result = result.map(record => {
-      const projected = {};
-      for (const col of selectedColumns) {
-        projected[col] = record[col];
-      }
+  for (const expression of expressions) {
+    prepareExpression(expression, db, bindings, outer);
+  }
+
+  if (statement.where && containsAggregate(statement.where)) {
+    return { error: 'Aggregate functions are not allowed in WHERE' };
+  }
+  if (statement.groupBy.some(containsAggregate)) {
+    return { error: 'Aggregate functions are not allowed in GROUP BY' };
+  }
+  if ([statement.where, statement.having, ...statement.groupBy].some(expression => expression && collectWindows(expression).length > 0)) {
+    return { error: 'Window functions are only allowed in the SELECT list and ORDER BY' };
+  }
+
+  if (statement.where) {
+    rows = rows.filter(row => evaluateExpression(statement.where, row));
+    plan = planNode('Filter', statement.sources.where, plan.estimatedRows * estimateSelectivity(statement.where), rows.length, [plan]);
+  }
+
+  const grouped = statement.groupBy.length > 0 ||
+    statement.having !== null ||
+    expressionItems.some(item => containsAggregate(item.expression)) ||
+    statement.orderBy.some(item => containsAggregate(item.expression));
+
+  let items;
+  if (grouped) {
+    if (!statement.columns || selectItems.some(item => item.star)) {
+      return { error: 'SELECT * cannot be combined with GROUP BY or aggregate functions' };
+    }
+
+    const localNames = bindings.map(b => b.name);
+    const ungrouped = [
+      ...expressionItems.map(item => item.expression),
+      ...statement.orderBy.map(item => item.expression),
+      statement.having
+    ].filter(Boolean).find(expression => !isGroupedExpression(expression, statement.groupBy, localNames));
+    if (ungrouped) {
+      const column = collectColumns(ungrouped).find(node => !isGroupedExpression(node, statement.groupBy, localNames));
+      return { error: `Column "${column.name}" must appear in GROUP BY or be used in an aggregate function` };
+    }
+
+    items = groupRows(rows, statement, outer.row);
+    plan = statement.groupBy.length > 0
+      ? planNode('Aggregate', `GROUP BY ${statement.sources.groupBy}`, plan.estimatedRows > 0 ? Math.max(1, plan.estimatedRows / 10) : 0, items.length, [plan])
+      : planNode('Aggregate', 'all rows', 1, items.length, [plan]);
+    if (statement.having) {
+      items = items.filter(item => evaluateExpression(statement.having, item.row, item.rows));
+      plan = planNode('Filter', `HAVING ${statement.sources.having}`, plan.estimatedRows * estimateSelectivity(statement.having), items.length, [plan]);
+    }
+  } else {
+    items = rows.map(row => ({ row, rows: null }));
+  }
+
+  const windows = [
+    ...expressionItems.map(item => item.expression),
+    ...statement.orderBy.map(item => item.expression)
+  ].flatMap(expression => collectWindows(expression));
+  if (windows.length > 0) {
+    computeWindows(items, windows, bindings);
+    const names = [...new Set(windows.map(window => window.name))];
+    plan = planNode('Window', names.join(', '), plan.estimatedRows, items.length, [plan]);
+  }
+
+  if (statement.orderBy.length > 0) {
+    items = sortRows(items, statement.orderBy, bindings);
+    plan = sortPlan(plan, statement.orderBy, items.length);
+  }
+
+  if (!statement.distinct) {
+    items = sliceRows(items, statement);
+    plan = limitPlan(plan, statement, items.length);
+  }
+
+  let columns;
+  let result;
+  if (!statement.columns) {
+    columns = starColumns(bindings);
+    result = items.map(item => expandStar(item.row, bindings));
+  } else {
+    const labels = selectLabels(selectItems);
+    columns = selectItems.flatMap((selectItem, i) => (selectItem.star
+      ? starColumns(bindings, selectItem.star)
+      : [{ name: labels[i], type: expressionType(selectItem.expression, bindings) }]));
+    result = items.map(item => {
+      let projected = {};
+      selectItems.forEach((selectItem, i) => {
+        if (selectItem.star) {
+          projected = { ...projected, ...expandStar(item.row, bindings, selectItem.star) };
+        } else {
+          projected[labels[i]] = evaluateExpression(selectItem.expression, item.row, item.rows);
+        }
+      });
       return projected;
     });
   }
 
-  return { data: result, type: 'table' };
+  if (statement.distinct) {
+    const distinct = distinctRows(result);
+    plan = planNode('Distinct', null, plan.estimatedRows, distinct.length, [plan]);
+    result = sliceRows(distinct, statement);
+    plan = limitPlan(plan, statement, result.length);
+  }
+
+  return withPlan({ data: result, type: 'table', columns }, plan, db);
 }
 
-function executeJoin(query, db) {
-  const upper = query.toUpperCase();
-  const parts = query.trim().split(/\s+/);
-  
-  if (parts.length < 4) {
-    return { error: 'JOIN requires: JOIN table1 table2 ON table1.field = table2.field' };
+function executeInsert(statement, db) {
+  const tableName = statement.table;
+  const table = db.tables[tableName];
+
+  if (db.views?.[tableName]) {
+    return { error: `View "${tableName}" is read-only` };
+  }
+  if (!table) {
+    return { error: `Table "${tableName}" does not exist` };
   }
 
-  const table1Name = parts[1].toLowerCase();
-  const table2Name = parts[2].toLowerCase();
-  
-  if (!db.tables[table1Name] || !db.tables[table2Name]) {
-    return { error: `One or both tables do not exist: ${table1Name}, ${table2Name}` };
+  for (const col of statement.columns) {
+    if (col === 'id') {
+      return { error: 'Cannot set row id: ids are generated automatically' };
+    }
+    if (!table.schema.columns[col]) {
+      return { error: `Column "${col}" does not exist in table "${tableName}"` };
+    }
   }
 
-  const onIndex = upper.indexOf('ON');
-  if (onIndex === -1) {
-    return { error: 'JOIN requires ON clause: JOIN table1 table2 ON table1.field = table2.field' };
+  for (const values of statement.rows) {
+    values.forEach(value => prepareExpression(value, db, []));
   }
 
-  const onClause = query.substring(onIndex + 2).trim();
-  const onMatch = onClause.match(/(\w+)\.(\w+)\s*=\s*(\w+)\.(\w+)/);
-  
-  if (!onMatch) {
-    return { error: 'Invalid ON clause. Use: ON table1.field = table2.field' };
+  const inserted = runInTransaction(() =>
+    statement.rows.map(values => {
+      const data = {};
+      statement.columns.forEach((col, i) => {
+        data[col] = storedValue(evaluateExpression(values[i], {}), col, table.schema.columns[col], values[i]);
+      });
+      return insertRow(tableName, data);
+    })
+  );
+
+  return { data: inserted, type: 'insert', rowsAffected: inserted.length };
+}
+
+function executeUpdate(statement, db) {
+  const tableName = statement.table;
+  const table = db.tables[tableName];
+
+  if (db.views?.[tableName]) {
+    return { error: `View "${tableName}" is read-only` };
+  }
+  if (!table) {
+    return { error: `Table "${tableName}" does not exist` };
   }
 
-  const [, table1Ref, field1, table2Ref, field2] = onMatch;
-  
-  let table1Field, table2Field;
-  if (table1Ref.toLowerCase() === table1Name) {
-    table1Field = field1;
-    table2Field = field2;
-  } else if (table1Ref.toLowerCase() === table2Name) {
-    table1Field = field2;
-    table2Field = field1;
-  } else {
-    return { error: `Table reference "${table1Ref}" does not match table names` };
+  for (const { column } of statement.assignments) {
+    if (column === 'id') {
+      return { error: 'Cannot change row id' };
+    }
+    if (!table.schema.columns[column]) {
+      return { error: `Column "${column}" does not exist in table "${tableName}"` };
+    }
+  }
+
+  const bindings = [bindTable(db, { name: tableName })];
+  for (const { value } of statement.assignments) {
+    prepareExpression(value, db, bindings);
+  }
+  if (statement.where) {
+    prepareExpression(statement.where, db, bindings);
   }
 
-  const rows1 = getTableRows(table1Name);
-  const rows2 = getTableRows(table2Name);
+  let targets = getTableRows(tableName);
+  if (statement.where) {
+    targets = targets.filter(record => evaluateExpression(statement.where, { [tableName]: record }));
+  }
 
-  const joined = [];
-  for (const record1 of rows1) {
-    for (const record2 of rows2) {
-      if (record1[table1Field] === record2[table2Field]) {
-        const merged = {
-          ...Object.fromEntries(
-            Object.entries(record1).map(([k, v]) => [`${table1Name}_${k}`, v])
-          ),
-          ...Object.fromEntries(
-            Object.entries(record2).map(([k, v]) => [`${table2Name}_${k}`, v])
-          )
-        };
-        joined.push(merged);
+  const updated = runInTransaction(() =>
+    targets.map(record => {
+      const changes = {};
+      for (const { column, value } of statement.assignments) {
+        changes[column] = storedValue(
+          evaluateExpression(value, { [tableName]: record }),
+          column,
+          table.schema.columns[column],
+          value
+        );
+      }
+      return updateRow(tableName, record.id, changes);
+    })
+  );
+
+  return { data: updated, type: 'update', rowsAffected: updated.length };
+}
+
+function executeDelete(statement, db) {
+  const tableName = statement.table;
+
+  if (db.views?.[tableName]) {
+    return { error: `View "${tableName}" is read-only` };
+  }
+  if (!db.tables[tableName]) {
+    return { error: `Table "${tableName}" does not exist` };
+  }
+
+  let targets = getTableRows(tableName);
+  if (statement.where) {
+    prepareExpression(statement.where, db, [bindTable(db, { name: tableName })]);
+    targets = targets.filter(record => evaluateExpression(statement.where, { [tableName]: record }));
+  }
+
+  let deleted = 0;
+  let cascaded = 0;
+  runInTransaction(() => {
+    for (const record of targets) {
+      if (!getTable(tableName).rows[record.id]) {
+        continue;
       }
+      cascaded += deleteRow(tableName, record.id).cascaded;
+      deleted++;
     }
+  });
+
+  return { data: [], type: 'delete', rowsAffected: deleted, cascaded };
+}
+
+function executeJoin(statement, db) {
+  const table1Name = statement.left.name;
+  const table2Name = statement.right.name;
+  
+  if (!db.tables[table1Name] || !db.tables[table2Name]) {
+    return { error: `One or both tables do not exist: ${table1Name}, ${table2Name}` };
+  }
+
+  let on = null;
+  if (statement.on) {
+    const { left, right } = statement.on;
+    let table1Field, table2Field;
+    if (left.table === table1Name) {
+      table1Field = left.name;
+      table2Field = right.name;
+    } else if (left.table === table2Name) {
+      table1Field = right.name;
+      table2Field = left.name;
+    } else {
+      return { error: `Table reference "${left.table}" does not match table names` };
+    }
+
+    on = {
+      type: 'comparison',
+      operator: '=',
+      left: { type: 'column', table: '$1', name: table1Field },
+      right: { type: 'column', table: '$2', name: table2Field }
+    };
   }
 
+  const leftBinding = { name: '$1', table: table1Name, columns: db.tables[table1Name].schema.columns };
+  const rightBinding = { name: '$2', table: table2Name, columns: db.tables[table2Name].schema.columns };
+
+  const { rows } = joinRows(
+    scanTable(leftBinding, db),
+    [leftBinding],
+    rightBinding,
+    tableRows(rightBinding, db),
+    statement.joinType,
+    on
+  );
+
+  const prefix = (binding, record) => Object.fromEntries(
+    Object.keys(record || binding.columns).map(k => [`${binding.table}_${k}`, record ? record[k] : null])
+  );
+  const joined = rows.map(row => ({
+    ...prefix(leftBinding, row.$1),
+    ...prefix(rightBinding, row.$2)
+  }));
+
   return { data: joined, type: 'join' };
 }
 
-function executeUnion(query, db) {
-  const parts = query.trim().split(/\s+/);
-  
-  if (parts.length < 3) {
-    return { error: 'UNION requires two table names' };
+function typesCompatible(typeA, typeB) {
+  const family = type => (type === 'uuid' || type === 'date' ? 'string' : type);
+  return !typeA || !typeB || family(typeA) === family(typeB);
+}
+
+function checkColumnsCompatible(columnsA, columnsB, operator) {
+  if (columnsA.length !== columnsB.length) {
+    return `Each side of ${operator} must select the same number of columns (${columnsA.length} vs ${columnsB.length})`;
   }
 
-  const tableA = parts[1].toLowerCase();
-  const tableB = parts[2].toLowerCase();
-  
-  if (!db.tables[tableA] || !db.tables[tableB]) {
-    return { error: `One or both tables do not exist: ${tableA}, ${tableB}` };
+  const mismatch = columnsA.findIndex((column, i) => !typesCompatible(column.type, columnsB[i].type));
+  if (mismatch !== -1) {
+    const columnA = columnsA[mismatch];
+    const columnB = columnsB[mismatch];
+    return `Column ${mismatch + 1} of ${operator} has incompatible types: "${columnA.name}" is ${columnA.type} but "${columnB.name}" is ${columnB.type}`;
   }
+  return null;
+}
+
+function alignRows(result, columns) {
+  return result.data.map(record =>
+    Object.fromEntries(columns.map((column, i) => [column.name, record[result.columns[i].name] ?? null]))
+  );
+}
+
+function createRowSet(records = []) {
+  const buckets = new Map();
+  const bucketKey = record => JSON.stringify(Object.keys(record).sort().map(key => record[key]));
 
-  const rowsA = getTableRows(tableA);
-  const rowsB = getTableRows(tableB);
+  const has = record => (buckets.get(bucketKey(record)) || []).some(other => recordsEqual(other, record));
+  const add = record => {
+    const key = bucketKey(record);
+    if (!buckets.has(key)) {
+      buckets.set(key, []);
+    }
+    buckets.get(key).push(record);
+  };
 
-  const union = [];
-  const seen = new Set();
+  records.forEach(add);
+  return { has, add };
+}
 
-  for (const record of rowsA) {
-    const key = JSON.stringify(record);
-    if (!seen.has(key)) {
-      seen.add(key);
-      union.push(record);
+function executeSetOperand(operand, db, outer) {
+  if (operand.type === 'table') {
+    if (!db.tables[operand.name]) {
+      throw queryError('UNKNOWN_TABLE', `Table "${operand.name}" does not exist`, operand.name);
     }
+    const data = Object.values(db.tables[operand.name].rows);
+    return {
+      data,
+      columns: null,
+      plan: planNode('Table Scan', operand.name, data.length, data.length)
+    };
+  }
+  return executeQueryStatement(operand, db, outer);
+}
+
+function executeSetOperation(statement, db, outer = { bindings: [], row: {}, references: new Set() }) {
+  const operator = statement.all ? `${statement.operator} ALL` : statement.operator;
+  const left = executeSetOperand(statement.left, db, outer);
+  if (left.error) return left;
+  const right = executeSetOperand(statement.right, db, outer);
+  if (right.error) return right;
+
+  let columns = null;
+  let rowsA = left.data;
+  let rowsB = right.data;
+
+  if (left.columns && right.columns) {
+    const error = checkColumnsCompatible(left.columns, right.columns, operator);
+    if (error) return { error };
+
+    columns = left.columns.map((column, i) => ({ name: column.name, type: column.type || right.columns[i].type }));
+    rowsA = alignRows(left, columns);
+    rowsB = alignRows(right, columns);
+  }
+
+  let data;
+  if (statement.operator === 'UNION') {
+    data = statement.all ? [...rowsA, ...rowsB] : distinctRows([...rowsA, ...rowsB]);
+  } else {
+    const rightSet = createRowSet(rowsB);
+    const keep = statement.operator === 'INTERSECT';
+    data = distinctRows(rowsA.filter(record => rightSet.has(record) === keep));
+  }
+
+  let plan = null;
+  if (db.explain) {
+    const [estimateA, estimateB] = [left.plan.estimatedRows, right.plan.estimatedRows];
+    const estimated = statement.operator === 'UNION'
+      ? estimateA + estimateB
+      : statement.operator === 'INTERSECT' ? Math.min(estimateA, estimateB) : estimateA;
+    plan = planNode(operator, null, estimated, data.length, [left.plan, right.plan]);
   }
 
-  for (const record of rowsB) {
-    const key = JSON.stringify(record);
-    if (!seen.has(key)) {
-      seen.add(key);
-      union.push(record);
+  if (statement.orderBy.length > 0) {
+    const bindings = [{
+      name: '$result',
+      table: `${operator} result`,
+      columns: Object.fromEntries((columns || []).map(column => [column.name, { type: column.type }]))
+    }];
+    statement.orderBy.forEach(item => resolveColumns(item.expression, bindings));
+    if (statement.orderBy.some(item => containsAggregate(item.expression))) {
+      return { error: `Aggregate functions are not allowed in the ORDER BY of ${operator}` };
     }
+    data = sortRows(data.map(record => ({ row: { $result: record }, rows: null })), statement.orderBy, bindings)
+      .map(item => item.row.$result);
+    plan = plan && sortPlan(plan, statement.orderBy, data.length);
   }
 
-  return { data: union, type: 'set' };
+  data = sliceRows(data, statement);
+  plan = plan && limitPlan(plan, statement, data.length);
+
+  return withPlan({ data, type: 'set', columns: columns || left.columns || right.columns }, plan, db);
 }
 
-function executeIntersect(query, db) {
-  const parts = query.trim().split(/\s+/);
-  
-  if (parts.length < 3) {
-    return { error: 'INTERSECT requires two table names' };
+function executeQueryStatement(statement, db, outer) {
+  return statement.type === 'setOperation'
+    ? executeSetOperation(statement, db, outer)
+    : executeSelect(statement, db, outer);
+}
+
+const MAX_RECURSION = 1000;
+
+function referencesTable(node, name) {
+  if (Array.isArray(node)) {
+    return node.some(child => referencesTable(child, name));
   }
+  if (!node || typeof node !== 'object') {
+    return false;
+  }
+  if (node.type === 'table' && node.name === name) {
+    return true;
+  }
+  return Object.values(node).some(child => referencesTable(child, name));
+}
 
-  const tableA = parts[1].toLowerCase();
-  const tableB = parts[2].toLowerCase();
-  
-  if (!db.tables[tableA] || !db.tables[tableB]) {
-    return { error: `One or both tables do not exist: ${tableA}, ${tableB}` };
+function materialize(cte, result) {
+  if (cte.columns && cte.columns.length !== result.columns.length) {
+    throw new Error(`Common table expression "${cte.name}" names ${cte.columns.length} column(s) but its query returns ${result.columns.length}`);
+  }
+  const columns = cte.columns
+    ? result.columns.map((column, i) => ({ name: cte.columns[i], type: column.type }))
+    : result.columns;
+  return {
+    columns: Object.fromEntries(columns.map(column => [column.name, { type: column.type }])),
+    list: columns,
+    rows: alignRows(result, columns)
+  };
+}
+
+function forgetSubqueryResults(node) {
+  if (Array.isArray(node)) {
+    node.forEach(forgetSubqueryResults);
+  } else if (node && typeof node === 'object') {
+    subqueryResults.delete(node);
+    Object.values(node).forEach(forgetSubqueryResults);
+  }
+}
+
+function executeRecursiveCte(cte, db) {
+  const { query } = cte;
+  if (query.orderBy.length > 0 || query.limit !== null || query.offset !== null) {
+    throw new Error(`ORDER BY, LIMIT and OFFSET are not supported in recursive query "${cte.name}"`);
   }
+  if (referencesTable(query.left, cte.name)) {
+    throw new Error(`The first SELECT of recursive query "${cte.name}" must not refer to "${cte.name}"`);
+  }
+
+  const anchor = executeQueryStatement(query.left, db);
+  if (anchor.error) throw new Error(anchor.error);
+  const table = materialize(cte, anchor);
 
-  const rowsA = getTableRows(tableA);
-  const rowsB = getTableRows(tableB);
+  const seen = createRowSet();
+  let rows = query.all ? table.rows : distinctRows(table.rows);
+  rows.forEach(seen.add);
+  const result = [...rows];
+  let stepPlan = null;
+  let iteration = 0;
 
-  const intersection = [];
-  const seen = new Set();
+  while (rows.length > 0) {
+    if (iteration === MAX_RECURSION) {
+      throw new Error(`Recursive query "${cte.name}" did not finish after ${MAX_RECURSION} iterations`);
+    }
 
-  const setB = new Set(rowsB.map(r => JSON.stringify(r)));
+    forgetSubqueryResults(query.right);
+    const step = executeQueryStatement(query.right, {
+      ...db,
+      ctes: { ...db.ctes, [cte.name]: { columns: table.columns, rows } }
+    });
+    if (step.error) throw new Error(step.error);
+    stepPlan = stepPlan || step.plan;
+    const error = checkColumnsCompatible(table.list, step.columns, `recursive query "${cte.name}"`);
+    if (error) throw new Error(error);
 
-  for (const record of rowsA) {
-    const key = JSON.stringify(record);
-    if (setB.has(key) && !seen.has(key)) {
-      seen.add(key);
-      intersection.push(record);
+    rows = alignRows(step, table.list);
+    if (!query.all) {
+      rows = distinctRows(rows).filter(record => !seen.has(record));
+      rows.forEach(seen.add);
     }
+    result.push(...rows);
+    iteration++;
   }
 
-  return { data: intersection, type: 'set' };
+  const plan = db.explain
+    ? planNode('Recursive Union', `${iteration} iteration(s)`, result.length, result.length, [anchor.plan, stepPlan].filter(Boolean))
+    : null;
+  return { columns: table.columns, rows: result, plan };
 }
 
-function executeDiff(query, db) {
-  const parts = query.trim().split(/\s+/);
-  
-  if (parts.length < 3) {
-    return { error: 'DIFF requires two table names' };
+function executeWith(statement, db) {
+  let scope = { ...db, ctes: { ...db.ctes } };
+  const ctePlans = [];
+
+  for (const cte of statement.ctes) {
+    const recursive = statement.recursive &&
+      cte.query.type === 'setOperation' &&
+      cte.query.operator === 'UNION' &&
+      referencesTable(cte.query.right, cte.name);
+
+    let table;
+    if (recursive) {
+      table = executeRecursiveCte(cte, scope);
+    } else {
+      const result = executeQueryStatement(cte.query, scope);
+      if (result.error) return result;
+      table = { ...materialize(cte, result), plan: result.plan };
+    }
+    scope = { ...scope, ctes: { ...scope.ctes, [cte.name]: { columns: table.columns, rows: table.rows } } };
+    if (db.explain) {
+      ctePlans.push(planNode('CTE', cte.name, table.plan.estimatedRows, table.rows.length, [table.plan]));
+    }
   }
 
-  const tableA = parts[1].toLowerCase();
-  const tableB = parts[2].toLowerCase();
-  
-  if (!db.tables[tableA] || !db.tables[tableB]) {
-    return { error: `One or both tables do not exist: ${tableA}, ${tableB}` };
+  const result = executeQueryStatement(statement.query, scope);
+  if (result.error || !db.explain) {
+    return result;
   }
+  const plan = planNode('With', null, result.plan.estimatedRows, result.plan.actualRows, [...ctePlans, result.plan]);
+  return { ...result, plan };
+}
+
+function flattenPlan(plan, depth = 0) {
+  const { children, ...step } = plan;
+  return [{ depth, ...step }, ...children.flatMap(child => flattenPlan(child, depth + 1))];
+}
 
-  const rowsA = getTableRows(tableA);
-  const rowsB = getTableRows(tableB);
+function executeExplain(statement, db) {
+  const scope = { ...db, explain: true };
+  const result = statement.query.type === 'with'
+    ? executeWith(statement.query, scope)
+    : executeQueryStatement(statement.query, scope);
+  if (result.error) {
+    return result;
+  }
+  return { data: flattenPlan(result.plan), type: 'plan', plan: result.plan };
+}
 
-  const diff = [];
-  const seen = new Set();
-  const setB = new Set(rowsB.map(r => JSON.stringify(r)));
+function executeViewQuery(name, statement, db) {
+  const expanding = db.expandingViews || [];
+  if (expanding.includes(name)) {
+    throw new Error(`View "${name}" refers to itself`);
+  }
 
-  for (const record of rowsA) {
-    const key = JSON.stringify(record);
-    if (!setB.has(key) && !seen.has(key)) {
-      seen.add(key);
-      diff.push(record);
-    }
+  const scope = { ...db, ctes: {}, expandingViews: [...expanding, name] };
+  const result = statement.type === 'with'
+    ? executeWith(statement, scope)
+    : executeQueryStatement(statement, scope);
+  if (result.error) {
+    throw new Error(`View "${name}": ${result.error}`);
   }
+  return { ...materialize({ name, columns: null }, result), plan: result.plan };
+}
 
-  return { data: diff, type: 'set' };
+function expandView(view, db) {
+  return executeViewQuery(view.name, parse(view.sql), db);
 }
 
-export function executeQuery(query) {
-  const trimmed = query.trim();
-  if (!trimmed) {
-    return { error: 'Please enter a query' };
+function executeCreateView(statement, db) {
+  executeViewQuery(statement.name, statement.query, db);
+  createView(statement.name, statement.sql);
+  return { data: [], type: 'createView', message: `View "${statement.name}" created` };
+}
+
+function executeDropView(statement) {
+  dropView(statement.name);
+  return { data: [], type: 'dropView', message: `View "${statement.name}" dropped` };
+}
+
+function executeCreateTable(statement) {
+  createTable(statement.table, { columns: statement.columns, foreignKeys: statement.foreignKeys });
+  return { data: [], type: 'createTable', message: `Table "${statement.table}" created` };
+}
+
+function executeDropTable(statement) {
+  dropTable(statement.table);
+  return { data: [], type: 'dropTable', message: `Table "${statement.table}" dropped` };
+}
+
+function executeAlterTable(statement) {
+  const { table, column } = statement;
+  switch (statement.action) {
+    case 'addColumn':
+      addColumn(table, column, { type: statement.columnType }, statement.foreignKey);
+      return { data: [], type: 'alterTable', message: `Column "${column}" added to table "${table}"` };
+
+    case 'dropColumn':
+      dropColumn(table, column);
+      return { data: [], type: 'alterTable', message: `Column "${column}" dropped from table "${table}"` };
+
+    default:
+      renameColumn(table, column, statement.newName);
+      return { data: [], type: 'alterTable', message: `Column "${column}" renamed to "${statement.newName}" in table "${table}"` };
   }
+}
 
-  const upper = trimmed.toUpperCase();
+export function executeView(name) {
   const db = loadDB();
+  const view = db.views?.[name];
+  if (!view) {
+    return { error: `View "${name}" does not exist` };
+  }
 
   try {
-    if (upper.startsWith('SELECT')) {
-      return executeSelect(trimmed, db);
-    }
+    const { list, rows } = expandView(view, db);
+    return { data: rows, type: 'table', columns: list };
+  } catch (error) {
+    return { error: `Query error: ${error.message}` };
+  }
+}
 
-    if (upper.startsWith('JOIN')) {
-      return executeJoin(trimmed, db);
+function collectParameterNodes(node, nodes = []) {
+  if (Array.isArray(node)) {
+    node.forEach(child => collectParameterNodes(child, nodes));
+  } else if (node && typeof node === 'object' && node.type !== 'literal') {
+    if (node.type === 'parameter') {
+      nodes.push(node);
+    } else {
+      Object.values(node).forEach(child => collectParameterNodes(child, nodes));
     }
+  }
+  return nodes;
+}
 
-    if (upper.startsWith('UNION')) {
-      return executeUnion(trimmed, db);
+function parameterValue(node, params, positionalOffset) {
+  const key = node.style === '?' ? node.key + positionalOffset : node.key;
+  const label = parameterLabel({ style: node.style, value: key });
+  if (params === null) {
+    throw new Error(`No value supplied for parameter ${label}`);
+  }
+
+  let value;
+  if (node.style === ':') {
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+      throw new Error(`Named parameter ${label} needs an object of values`);
+    }
+    value = params[node.key];
+  } else {
+    if (!Array.isArray(params)) {
+      throw new Error(`Parameter ${label} needs an array of values`);
     }
+    value = params[key - 1];
+  }
+
+  if (value === undefined) {
+    throw new Error(`No value supplied for parameter ${label}`);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value !== null && !['string', 'number', 'boolean'].includes(typeof value)) {
+    throw new Error(`Parameter ${label} must be a string, number, boolean or null`);
+  }
+  return value;
+}
+
+function bindParameters(statement, params, positionalOffset) {
+  for (const node of collectParameterNodes(statement)) {
+    const value = parameterValue(node, params, positionalOffset);
+    delete node.style;
+    delete node.key;
+    node.type = 'literal';
+    node.value = value;
+  }
+}
+
+function checkParameterCount(parameters, params) {
+  if (!Array.isArray(params) || parameters[0]?.style === ':') return;
+  const expected = parameters.length === 0
+    ? 0
+    : Math.max(...parameters.map(parameter => parameter.key));
+  if (params.length > expected) {
+    throw new Error(`Expected ${expected} parameter value(s) but got ${params.length}`);
+  }
+}
 
-    if (upper.startsWith('INTERSECT')) {
-      return executeIntersect(trimmed, db);
+function syntaxErrorResult(error) {
+  return {
+    error: `Syntax error: ${error.message}`,
+    details: { code: error.code, message: error.message, start: error.start, end: error.end, expected: error.expected }
+  };
+}
+
+function spanOf(node) {
+  if (node.start !== undefined) return node;
+  const spans = childNodes(node).map(spanOf).filter(Boolean);
+  if (spans.length === 0) return null;
+  return {
+    start: Math.min(...spans.map(span => span.start)),
+    end: Math.max(...spans.map(span => span.end))
+  };
+}
+
+function findTarget(target, query) {
+  if (typeof target !== 'string') {
+    return target ? spanOf(target) : null;
+  }
+  return tokenize(query).find(token =>
+    token.type === 'identifier' && token.value.toLowerCase() === target.toLowerCase()
+  ) || null;
+}
+
+function queryErrorResult(error, query) {
+  const span = findTarget(error.target, query);
+  return {
+    error: `Query error: ${error.message}`,
+    details: {
+      code: error.code || 'QUERY_ERROR',
+      message: error.message,
+      start: span ? span.start : null,
+      end: span ? span.end : null,
+      expected: []
     }
+  };
+}
 
-    if (upper.startsWith('DIFF')) {
-      return executeDiff(trimmed, db);
+function locateError(result, text, offset = 0) {
+  if (!result.error) return result;
+
+  const details = result.details || { code: 'QUERY_ERROR', message: result.error, start: null, end: null, expected: [] };
+  if (details.start === null) {
+    return { ...result, details };
+  }
+
+  const start = details.start + offset;
+  const before = text.slice(0, start);
+  const lineStart = before.lastIndexOf('\n') + 1;
+  const lineEnd = text.indexOf('\n', start);
+  const line = before.split('\n').length;
+  const column = start - lineStart + 1;
+
+  return {
+    ...result,
+    error: `${result.error} (line ${line}, column ${column})`,
+    details: {
+      ...details,
+      start,
+      end: details.end + offset,
+      line,
+      column,
+      lineText: text.slice(lineStart, lineEnd === -1 ? text.length : lineEnd)
     }
+  };
+}
 
-    if (upper === 'SHOW TABLES') {
-      const tables = Object.keys(db.tables).map(name => {
-        const table = db.tables[name];
-        const rowCount = Object.keys(table.rows).length;
-        return { name, rows: rowCount };
-      });
-      return { data: tables, type: 'tables' };
+function executeStatement(query, params, positionalOffset = 0) {
+  if (!query.trim()) {
+    return { error: 'Please enter a query' };
+  }
+
+  let statement;
+  try {
+    statement = parse(query);
+  } catch (error) {
+    return syntaxErrorResult(error);
+  }
+
+  const db = loadDB();
+
+  try {
+    bindParameters(statement, params, positionalOffset);
+
+    switch (statement.type) {
+      case 'select':
+        return executeSelect(statement, db);
+
+      case 'insert':
+        return executeInsert(statement, db);
+
+      case 'update':
+        return executeUpdate(statement, db);
+
+      case 'delete':
+        return executeDelete(statement, db);
+
+      case 'join':
+        return executeJoin(statement, db);
+
+      case 'setOperation':
+        return executeSetOperation(statement, db);
+
+      case 'with':
+        return executeWith(statement, db);
+
+      case 'explain':
+        return executeExplain(statement, db);
+
+      case 'createView':
+        return executeCreateView(statement, db);
+
+      case 'dropView':
+        return executeDropView(statement);
+
+      case 'createTable':
+        return executeCreateTable(statement);
+
+      case 'dropTable':
+        return executeDropTable(statement);
+
+      case 'alterTable':
+        return executeAlterTable(statement);
+
+      case 'showTables': {
+        const tables = Object.keys(db.tables).map(name => {
+          const table = db.tables[name];
+          const rowCount = Object.keys(table.rows).length;
+          return { name, rows: rowCount };
+        });
+        return { data: tables, type: 'tables' };
+      }
+
+      default:
+        return { error: 'Invalid query syntax. Supported: SELECT, EXPLAIN, INSERT, UPDATE, DELETE, CREATE, DROP, ALTER TABLE, JOIN, UNION, INTERSECT, DIFF, SHOW TABLES' };
     }
+  } catch (error) {
+    return queryErrorResult(error, query);
+  }
+}
 
-    return { error: 'Invalid query syntax. Supported: SELECT, JOIN, UNION, INTERSECT, DIFF, SHOW TABLES' };
+function checkScriptParameters(script, params) {
+  try {
+    checkParameterCount(findParameters(script), params);
+    return null;
   } catch (error) {
-    return { error: `Query error: ${error.message}` };
+    return error.start === undefined ? queryErrorResult(error, script) : syntaxErrorResult(error);
+  }
+}
+
+export function executeQuery(query, params = null) {
+  return locateError(checkScriptParameters(query, params) || executeStatement(query, params), query);
+}
+
+export function executeScript(script, { stopOnError = true, params = null } = {}) {
+  const statements = splitStatements(script);
+  if (statements.length === 0) {
+    return locateError({ error: 'Please enter a query' }, script);
+  }
+  const invalid = checkScriptParameters(script, params);
+  if (invalid) {
+    return locateError(invalid, script);
+  }
+  if (statements.length === 1) {
+    return locateError(executeStatement(statements[0].sql, params), script, statements[0].start);
   }
+
+  let failed = false;
+  let positional = 0;
+  const results = statements.map(statement => {
+    const positionalOffset = positional;
+    positional += statement.positional;
+
+    if (failed && stopOnError) {
+      return { sql: statement.sql, result: { skipped: true } };
+    }
+    const result = statement.error
+      ? locateError(syntaxErrorResult(statement.error), script)
+      : locateError(executeStatement(statement.sql, params, positionalOffset), script, statement.start);
+    failed = failed || Boolean(result.error);
+    return { sql: statement.sql, result };
+  });
+
+  return { type: 'script', results };
 }
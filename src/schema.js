@@ -0,0 +1,196 @@
+import { loadDB, saveDB, createTable as insertTable } from './database';
+import { parse } from './parser';
+
+export const COLUMN_TYPES = ['string', 'number', 'boolean', 'date', 'uuid'];
+
+export const ON_DELETE_ACTIONS = ['restrict', 'cascade', 'set-null'];
+
+function checkName(kind, name) {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name || '')) {
+    throw new Error(`Invalid ${kind} name "${name}": use letters, digits and underscores, starting with a letter`);
+  }
+}
+
+function requireTable(db, tableName) {
+  const table = db.tables[tableName];
+  if (!table) {
+    throw new Error(`Table "${tableName}" does not exist`);
+  }
+  return table;
+}
+
+function checkColumn(column, definition) {
+  checkName('column', column);
+  if (column === 'id') {
+    throw new Error('The id column is added automatically and cannot be defined');
+  }
+  if (!COLUMN_TYPES.includes(definition.type)) {
+    throw new Error(`Unknown type "${definition.type}" for column "${column}"; use one of: ${COLUMN_TYPES.join(', ')}`);
+  }
+}
+
+function checkForeignKey(db, tableName, column, foreignKey) {
+  const [refTable, refColumn] = foreignKey.references.split('.');
+  if (refTable !== tableName && !db.tables[refTable]) {
+    throw new Error(`Foreign key "${column}" references table "${refTable}", which does not exist`);
+  }
+  if (refColumn !== 'id') {
+    throw new Error(`Foreign key "${column}" must reference ${refTable}.id`);
+  }
+  if (!ON_DELETE_ACTIONS.includes(foreignKey.onDelete)) {
+    throw new Error(`Unknown ON DELETE action "${foreignKey.onDelete}"; use one of: ${ON_DELETE_ACTIONS.join(', ')}`);
+  }
+}
+
+function collectReferences(node, references = { tables: [], columns: [] }) {
+  if (Array.isArray(node)) {
+    node.forEach(item => collectReferences(item, references));
+  } else if (node && typeof node === 'object') {
+    if (node.type === 'table') references.tables.push(node);
+    if (node.type === 'column') references.columns.push(node);
+    Object.values(node).forEach(value => collectReferences(value, references));
+  }
+  return references;
+}
+
+function findDependentView(db, tableName, column = null) {
+  for (const name in db.views || {}) {
+    let references;
+    try {
+      references = collectReferences(parse(db.views[name].sql));
+    } catch (error) {
+      continue;
+    }
+    const aliases = references.tables
+      .filter(table => table.name.toLowerCase() === tableName.toLowerCase())
+      .map(table => table.alias.toLowerCase());
+    if (aliases.length === 0) continue;
+    if (column === null || references.columns.some(reference =>
+      reference.name === column && (!reference.table || aliases.includes(reference.table))
+    )) {
+      return name;
+    }
+  }
+  return null;
+}
+
+export function createTable(name, { columns = {}, foreignKeys = {} } = {}) {
+  const db = loadDB();
+  checkName('table', name);
+
+  for (const column in columns) {
+    checkColumn(column, columns[column]);
+  }
+  for (const column in foreignKeys) {
+    if (!columns[column]) {
+      throw new Error(`Foreign key column "${column}" is not defined in table "${name}"`);
+    }
+    checkForeignKey(db, name, column, foreignKeys[column]);
+  }
+
+  return insertTable(name, { columns, foreignKeys });
+}
+
+export function dropTable(name) {
+  const db = loadDB();
+  requireTable(db, name);
+
+  for (const other in db.tables) {
+    if (other === name) continue;
+    const { foreignKeys } = db.tables[other].schema;
+    for (const column in foreignKeys) {
+      if (foreignKeys[column].references.split('.')[0] === name) {
+        throw new Error(`Cannot drop table "${name}": it is referenced by ${other}.${column}`);
+      }
+    }
+  }
+
+  const view = findDependentView(db, name);
+  if (view) {
+    throw new Error(`Cannot drop table "${name}": it is referenced by view "${view}"`);
+  }
+
+  delete db.tables[name];
+  saveDB(db);
+}
+
+export function addColumn(tableName, column, definition, foreignKey = null) {
+  const db = loadDB();
+  const table = requireTable(db, tableName);
+
+  checkColumn(column, definition);
+  if (table.schema.columns[column]) {
+    throw new Error(`Column "${column}" already exists in table "${tableName}"`);
+  }
+  if (foreignKey) {
+    checkForeignKey(db, tableName, column, foreignKey);
+  }
+
+  table.schema.columns[column] = { type: definition.type };
+  if (foreignKey) {
+    table.schema.foreignKeys[column] = foreignKey;
+  }
+  for (const rowId in table.rows) {
+    table.rows[rowId][column] = null;
+  }
+
+  saveDB(db);
+}
+
+export function dropColumn(tableName, column) {
+  const db = loadDB();
+  const table = requireTable(db, tableName);
+
+  if (column === 'id') {
+    throw new Error('Cannot drop the id column (primary key)');
+  }
+  if (!table.schema.columns[column]) {
+    throw new Error(`Column "${column}" does not exist in table "${tableName}"`);
+  }
+  const view = findDependentView(db, tableName, column);
+  if (view) {
+    throw new Error(`Cannot drop column "${tableName}.${column}": it is referenced by view "${view}"`);
+  }
+
+  delete table.schema.columns[column];
+  delete table.schema.foreignKeys[column];
+  for (const rowId in table.rows) {
+    delete table.rows[rowId][column];
+  }
+
+  saveDB(db);
+}
+
+function renameKey(object, from, to) {
+  return Object.fromEntries(
+    Object.entries(object).map(([key, value]) => [key === from ? to : key, value])
+  );
+}
+
+export function renameColumn(tableName, column, newName) {
+  const db = loadDB();
+  const table = requireTable(db, tableName);
+
+  if (column === 'id' || newName === 'id') {
+    throw new Error('Cannot rename the id column (primary key)');
+  }
+  if (!table.schema.columns[column]) {
+    throw new Error(`Column "${column}" does not exist in table "${tableName}"`);
+  }
+  checkName('column', newName);
+  if (table.schema.columns[newName]) {
+    throw new Error(`Column "${newName}" already exists in table "${tableName}"`);
+  }
+  const view = findDependentView(db, tableName, column);
+  if (view) {
+    throw new Error(`Cannot rename column "${tableName}.${column}": it is referenced by view "${view}"`);
+  }
+
+  table.schema.columns = renameKey(table.schema.columns, column, newName);
+  table.schema.foreignKeys = renameKey(table.schema.foreignKeys, column, newName);
+  for (const rowId in table.rows) {
+    table.rows[rowId] = renameKey(table.rows[rowId], column, newName);
+  }
+
+  saveDB(db);
+}